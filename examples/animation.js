@@ -1,5 +1,12 @@
+import { Skeleton, Motion, ForwardKinematics, Playback, MIN_SPEED, MAX_SPEED, normalizeUnits, extractRootMotion, vec3 } from './core/index.js';
+
+const ASF_SECTIONS = ['version', 'name', 'units', 'documentation', 'root', 'bonedata', 'hierarchy'];
+
+// Both parsers collect the problems they find in this.diagnostics as
+// { severity: 'error' | 'warning', line, message } (line counts from 1) instead of stopping
 class ASFParser {
     constructor() {
+        this.diagnostics = [];
         this.skeleton = {
             version: '',
             name: '',
@@ -15,14 +22,23 @@ class ASFParser {
         const lines = content.split('\n').map(line => line.trim());
         let currentSection = '';
         let currentBone = null;
+        let hierarchyLine = 0;
 
-        for (let line of lines) {
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            this.lineNumber = i + 1;
             // Skip empty lines and comments
             if (line === '' || line.startsWith('#')) continue;
 
             // Check if this is a section header
             if (line.startsWith(':')) {
+                if (currentBone) this.report('error', 'Bone ' + (currentBone.name || '') + ' has no closing "end".');
+                currentBone = null;
                 currentSection = line.substring(1);
+                if (currentSection === 'hierarchy') hierarchyLine = this.lineNumber;
+                if (!ASF_SECTIONS.includes(currentSection.split(/\s+/)[0])) {
+                    this.report('warning', 'Unknown section ' + line + ' ignored.');
+                }
                 continue;
             }
 
@@ -38,7 +54,9 @@ class ASFParser {
                 case 'units':
                     if (line.includes(' ')) {
                         const [key, value] = line.trim().split(/\s+/);
-                        this.skeleton.units[key] = value;
+                        this.skeleton.units[key] = isNaN(parseFloat(value)) ? value : parseFloat(value);
+                        // Units the core cannot turn into meters and radians
+                        normalizeUnits({ [key]: value }).problems.forEach(message => this.report('error', message));
                     }
                     break;
 
@@ -56,25 +74,53 @@ class ASFParser {
                 case 'bonedata':
                     this.parseBoneData(line, currentBone);
                     if (line === 'begin') {
+                        if (currentBone) this.report('error', 'Bone ' + (currentBone.name || '') + ' has no closing "end".');
                         currentBone = {};
                     } else if (line === 'end') {
-                        if (currentBone && currentBone.name) {
+                        if (!currentBone) {
+                            this.report('error', '"end" without "begin".');
+                        } else if (!currentBone.name) {
+                            this.report('error', 'Bone has no name.');
+                        } else {
                             this.skeleton.bones[currentBone.name] = currentBone;
                         }
                         currentBone = null;
+                    } else if (!currentBone) {
+                        this.report('error', '"' + line + '" outside of a begin/end block.');
                     }
                     break;
 
                 case 'hierarchy':
-                    if (line === 'begin' || line === 'end') continue;
+                    if (line === 'begin') continue;
+                    if (line === 'end') {
+                        hierarchyLine = 0;
+                        continue;
+                    }
                     this.parseHierarchy(line);
                     break;
             }
         }
 
+        this.lineNumber = lines.length;
+        if (currentBone) this.report('error', 'Bone ' + (currentBone.name || '') + ' has no closing "end".');
+        if (hierarchyLine) {
+            this.lineNumber = hierarchyLine;
+            this.report('error', ':hierarchy has no closing "end".');
+        }
+        if (Object.keys(this.skeleton.bones).length === 0) {
+            this.report('error', 'The file defines no bones.');
+        }
+        if (Object.keys(this.skeleton.hierarchy).length === 0) {
+            this.report('error', 'The file has no hierarchy.');
+        }
+
         return this.skeleton;
     }
 
+    report(severity, message) {
+        this.diagnostics.push({ severity, line: this.lineNumber, message });
+    }
+
     parseBoneData(line, currentBone) {
         if (!currentBone || line === 'begin' || line === 'end') return;
 
@@ -100,6 +146,7 @@ class ASFParser {
 
             case 'length':
                 currentBone.length = parseFloat(parts[1]);
+                if (isNaN(currentBone.length)) this.report('error', 'Length is not a number.');
                 break;
 
             case 'axis':
@@ -133,59 +180,21 @@ class ASFParser {
         const parts = line.trim().split(/\s+/);
         const parent = parts[0];
         const children = parts.slice(1);
+        parts.forEach(name => {
+            if (name !== 'root' && !this.skeleton.bones[name]) {
+                this.report('error', 'Hierarchy names unknown bone "' + name + '".');
+            }
+        });
         this.skeleton.hierarchy[parent] = children;
     }
 }
 
-// Helper function to create a flat array of bones with their world positions
-function calculateBonePositions(skeleton) {
-    const positions = new Map();
-    const bones = skeleton.bones;
-    const hierarchy = skeleton.hierarchy;
-
-    // Get root position from the root section
-    const rootPosition = {
-        x: parseFloat(skeleton.root.position[0]) || 0,
-        y: parseFloat(skeleton.root.position[1]) || 0,
-        z: parseFloat(skeleton.root.position[2]) || 0
-    };
-
-    function calculatePosition(boneName, parentPos) {
-        const bone = bones[boneName];
-        if (!bone) return;
-
-        // Calculate the end position of this bone
-        const position = {
-            x: parentPos.x + (bone.direction.x * bone.length),
-            y: parentPos.y + (bone.direction.y * bone.length),
-            z: parentPos.z + (bone.direction.z * bone.length)
-        };
-
-        // Store the bone's start and end positions
-        positions.set(boneName, {
-            start: { ...parentPos },
-            end: { ...position }
-        });
-
-        // Recursively calculate positions for children
-        const children = hierarchy[boneName] || [];
-        children.forEach(childName => {
-            calculatePosition(childName, position);
-        });
-    }
-
-    // Start from the first actual bone (hips) using root position
-    if (hierarchy.root && hierarchy.root.length > 0) {
-        hierarchy.root.forEach(rootChild => {
-            calculatePosition(rootChild, rootPosition);
-        });
-    }
-
-    return positions;
-}
+// Joint dots, in meters
+const JOINT_RADIUS = 0.008;
 
+// Draws a core Skeleton (see core/Skeleton.js) in its rest pose; poses come from ForwardKinematics
 class SkeletonViewer {
-    constructor(containerId, skeleton, bonePositions) {
+    constructor(containerId, skeleton) {
         // Create container for the viewer
         this.container = document.getElementById(containerId);
         this.container.style.position = 'relative';
@@ -200,15 +209,16 @@ class SkeletonViewer {
         this.controls = document.createElement('div');
         this.controls.style.marginBottom = '10px';
 
-        // Create scale control
+        // Create scale control, poses are in meters
         const scaleControl = this.createControl(
             'Scale:',
             'range',
-            { min: 1, max: 20, value: 10, step: 1 },
+            { min: 20, max: 800, value: 160, step: 10 },
             (value) => {
                 this.scale = Number(value);
                 this.render();
-            }
+            },
+            ' px/m'
         );
 
         // Create rotation control
@@ -232,16 +242,17 @@ class SkeletonViewer {
 
         // Initialize properties
         this.ctx = this.canvas.getContext('2d');
-        this.scale = 10;
+        this.scale = 160;
         this.rotationY = 0;
         this.skeleton = skeleton;
-        this.bonePositions = bonePositions;
+        this.fk = new ForwardKinematics(skeleton);
+        this.pose = this.fk.restPose();
 
         // Initial render
         this.render();
     }
 
-    createControl(label, type, attributes, onChange) {
+    createControl(label, type, attributes, onChange, suffix = label.includes('Scale') ? 'x' : '°') {
         const container = document.createElement('div');
         container.style.marginBottom = '5px';
 
@@ -260,13 +271,17 @@ class SkeletonViewer {
 
         // Create value display
         const valueDisplay = document.createElement('span');
-        valueDisplay.textContent = attributes.value + (label.includes('Scale') ? 'x' : '°');
+        valueDisplay.textContent = type === 'checkbox' ? '' : attributes.value + suffix;
         valueDisplay.style.marginLeft = '10px';
 
         // Add change listener
         input.addEventListener('input', (e) => {
+            if (type === 'checkbox') {
+                onChange(e.target.checked);
+                return;
+            }
             onChange(e.target.value);
-            valueDisplay.textContent = e.target.value + (label.includes('Scale') ? 'x' : '°');
+            valueDisplay.textContent = e.target.value + suffix;
         });
 
         container.appendChild(labelElement);
@@ -278,51 +293,65 @@ class SkeletonViewer {
 
     rotateY(point, angle) {
         const rad = angle * Math.PI / 180;
+        const [x, y, z] = point;
         return {
-            x: point.x * Math.cos(rad) + point.z * Math.sin(rad),
-            y: point.y,
-            z: -point.x * Math.sin(rad) + point.z * Math.cos(rad)
+            x: x * Math.cos(rad) + z * Math.sin(rad),
+            y: y,
+            z: -x * Math.sin(rad) + z * Math.cos(rad)
         };
     }
 
-    render() {
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+    // Draws this.pose on the viewer's canvas. target draws somewhere else instead (the sprite sheet
+    // exporter draws its frames this way): ctx, pose, scale (px/m), rotationY (degrees), origin (the
+    // canvas point [0, 0, 0] lands on), lineWidth (px) and background (null leaves the canvas as it is)
+    render(target = {}) {
+        const ctx = target.ctx || this.ctx;
+        const width = ctx.canvas.width;
+        const height = ctx.canvas.height;
+        const {
+            pose = this.pose,
+            scale = this.scale,
+            rotationY = this.rotationY,
+            origin = [width / 2, height / 2],
+            lineWidth = 1,
+            background = 'white'
+        } = target;
 
         // Clear canvas
-        this.ctx.fillStyle = 'white';
-        this.ctx.fillRect(0, 0, width, height);
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, width, height);
+        }
 
         // Set up coordinate system
-        this.ctx.save();
-        this.ctx.translate(width / 2, height / 2);
-        this.ctx.scale(this.scale, -this.scale); // Flip Y axis
+        ctx.save();
+        ctx.translate(origin[0], origin[1]);
+        ctx.scale(scale, -scale); // Flip Y axis
 
         // Draw bones
-        this.ctx.strokeStyle = 'black';
-        this.ctx.lineWidth = 1 / this.scale;
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = lineWidth / scale;
 
-        this.bonePositions.forEach((positions, boneName) => {
-            const { start, end } = positions;
+        pose.segments.forEach(({ start, end }) => {
 
             // Apply rotation
-            const rotatedStart = this.rotateY(start, this.rotationY);
-            const rotatedEnd = this.rotateY(end, this.rotationY);
+            const rotatedStart = this.rotateY(start, rotationY);
+            const rotatedEnd = this.rotateY(end, rotationY);
 
             // Draw bone
-            this.ctx.beginPath();
-            this.ctx.moveTo(rotatedStart.x, rotatedStart.y);
-            this.ctx.lineTo(rotatedEnd.x, rotatedEnd.y);
-            this.ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(rotatedStart.x, rotatedStart.y);
+            ctx.lineTo(rotatedEnd.x, rotatedEnd.y);
+            ctx.stroke();
 
             // Draw joint
-            this.ctx.beginPath();
-            this.ctx.arc(rotatedStart.x, rotatedStart.y, 0.3, 0, Math.PI * 2);
-            this.ctx.fillStyle = 'red';
-            this.ctx.fill();
+            ctx.beginPath();
+            ctx.arc(rotatedStart.x, rotatedStart.y, JOINT_RADIUS, 0, Math.PI * 2);
+            ctx.fillStyle = 'red';
+            ctx.fill();
         });
 
-        this.ctx.restore();
+        ctx.restore();
     }
 }
 
@@ -330,10 +359,9 @@ class SkeletonViewer {
 // Example usage:
 function initSkeletonViewer(containerId, asfFileContent) {
     const parser = new ASFParser();
-    const skeleton = parser.parse(asfFileContent);
-    const bonePositions = calculateBonePositions(skeleton);
+    const skeleton = Skeleton.fromASF(parser.parse(asfFileContent));
 
-    return new SkeletonViewer(containerId, skeleton, bonePositions);
+    return new SkeletonViewer(containerId, skeleton);
 }
 
 // Example usage:
@@ -344,36 +372,56 @@ function parseASFFile(content) {
 
 */
 
+// skeleton is the core Skeleton the motion is checked against
 class AMCParser {
     constructor(skeleton) {
         this.skeleton = skeleton;
         this.frames = new Map(); // Map of frame number to motion data
+        this.diagnostics = [];
     }
 
     parse(content) {
         const lines = content.split('\n').map(line => line.trim());
         let currentFrame = null;
         
-        for (let line of lines) {
-            console.log(line);
+        lines.forEach((line, i) => {
+            const report = (severity, message) => this.diagnostics.push({ severity, line: i + 1, message });
             // Skip empty lines, comments and metadata
-            if (line === '' || line.startsWith('#') || line.startsWith(':')) continue;
+            if (line === '' || line.startsWith('#') || line.startsWith(':')) return;
             
             // Try to parse as frame number
             const frameNumber = parseInt(line);
             if (!isNaN(frameNumber)) {
                 currentFrame = new Map();
                 this.frames.set(frameNumber, currentFrame);
-                continue;
+                return;
             }
             
             // Parse bone data
-            if (currentFrame) {
-                const parts = line.split(/\s+/);
-                const boneName = parts[0];
-                const values = parts.slice(1).map(Number);
-                currentFrame.set(boneName, values);
+            if (!currentFrame) {
+                report('warning', 'Line before the first frame ignored.');
+                return;
+            }
+            const parts = line.split(/\s+/);
+            const boneName = parts[0];
+            const values = parts.slice(1).map(Number);
+            const bone = this.skeleton.bone(boneName);
+            if (!bone) {
+                report('error', 'Unknown bone "' + boneName + '", the ASF has no bone with that name.');
+                return;
+            }
+            if (values.some(isNaN)) {
+                report('error', 'Bone "' + boneName + '" has a value that is not a number.');
+            }
+            const dofCount = bone.index === 0 ? bone.order.length : bone.dof.length;
+            if (values.length < dofCount) {
+                report('error', 'Bone "' + boneName + '" has ' + values.length + ' values but the ASF gives it ' + dofCount + ' dofs.');
             }
+            currentFrame.set(boneName, values);
+        });
+
+        if (this.frames.size === 0) {
+            this.diagnostics.push({ severity: 'error', line: lines.length, message: 'The file has no frames.' });
         }
         
         return this.frames;
@@ -381,184 +429,17 @@ class AMCParser {
 }
 
 class AnimatedSkeletonViewer extends SkeletonViewer {
-    constructor(containerId, skeleton, bonePositions) {
-        super(containerId, skeleton, bonePositions);
+    constructor(containerId, skeleton) {
+        super(containerId, skeleton);
         
         this.currentFrame = 1;
-        this.frames = null;
+        this.motion = null;
+        this.playback = null;
         this.isPlaying = false;
-        this.animationSpeed = 30; // FPS
         
         // Add animation controls
         this.addAnimationControls();
-
-        this.boneTransforms = new Map();
-        this.precalculateTransforms();
-    }
-    
-    // Matrix operations helpers
-    degToRad(degrees) {
-        return degrees * Math.PI / 180;
-    }
-
-    createRotationMatrixX(angle) {
-        const rad = this.degToRad(angle);
-        const cos = Math.cos(rad);
-        const sin = Math.sin(rad);
-        return [
-            1, 0, 0,
-            0, cos, -sin,
-            0, sin, cos
-        ];
-    }
-
-    createRotationMatrixY(angle) {
-        const rad = this.degToRad(angle);
-        const cos = Math.cos(rad);
-        const sin = Math.sin(rad);
-        return [
-            cos, 0, sin,
-            0, 1, 0,
-            -sin, 0, cos
-        ];
-    }
-
-    createRotationMatrixZ(angle) {
-        const rad = this.degToRad(angle);
-        const cos = Math.cos(rad);
-        const sin = Math.sin(rad);
-        return [
-            cos, -sin, 0,
-            sin, cos, 0,
-            0, 0, 1
-        ];
-    }
-
- 
-
-    multiplyMatrixVector(matrix, vector) {
-        return {
-            x: matrix[0]*vector.x + matrix[1]*vector.y + matrix[2]*vector.z,
-            y: matrix[3]*vector.x + matrix[4]*vector.y + matrix[5]*vector.z,
-            z: matrix[6]*vector.x + matrix[7]*vector.y + matrix[8]*vector.z
-        };
-    }
-
-    getRotationMatrix(rx, ry, rz) {
-        const matX = this.createRotationMatrixX(rx);
-        const matY = this.createRotationMatrixY(ry);
-        const matZ = this.createRotationMatrixZ(rz);
-        
-        // Apply rotations in Z, Y, X order (matches ASF axis order)
-        return this.multiplyMatrices(
-            this.multiplyMatrices(matX, matY),
-            matZ
-        );
-    }
-
-     // Matrix multiplication helper
-     multiplyMatrices(a, b) {
-        return [
-            a[0]*b[0] + a[1]*b[3] + a[2]*b[6],
-            a[0]*b[1] + a[1]*b[4] + a[2]*b[7],
-            a[0]*b[2] + a[1]*b[5] + a[2]*b[8],
-            a[3]*b[0] + a[4]*b[3] + a[5]*b[6],
-            a[3]*b[1] + a[4]*b[4] + a[5]*b[7],
-            a[3]*b[2] + a[4]*b[5] + a[5]*b[8],
-            a[6]*b[0] + a[7]*b[3] + a[8]*b[6],
-            a[6]*b[1] + a[7]*b[4] + a[8]*b[7],
-            a[6]*b[2] + a[7]*b[5] + a[8]*b[8]
-        ];
-    }
-
-    // Matrix inverse helper
-    inverseMatrix(m) {
-        const det = m[0] * (m[4] * m[8] - m[7] * m[5]) -
-                   m[1] * (m[3] * m[8] - m[5] * m[6]) +
-                   m[2] * (m[3] * m[7] - m[4] * m[6]);
-        
-        const invDet = 1 / det;
-        
-        return [
-            (m[4] * m[8] - m[7] * m[5]) * invDet,
-            (m[2] * m[7] - m[1] * m[8]) * invDet,
-            (m[1] * m[5] - m[2] * m[4]) * invDet,
-            (m[5] * m[6] - m[3] * m[8]) * invDet,
-            (m[0] * m[8] - m[2] * m[6]) * invDet,
-            (m[3] * m[2] - m[0] * m[5]) * invDet,
-            (m[3] * m[7] - m[6] * m[4]) * invDet,
-            (m[6] * m[1] - m[0] * m[7]) * invDet,
-            (m[0] * m[4] - m[3] * m[1]) * invDet
-        ];
-    }
-
-    createRotationMatrix(angle, axis) {
-        const rad = angle * Math.PI / 180;
-        const cos = Math.cos(rad);
-        const sin = Math.sin(rad);
-        
-        switch(axis.toLowerCase()) {
-            case 'x':
-                return [
-                    1, 0, 0,
-                    0, cos, -sin,
-                    0, sin, cos
-                ];
-            case 'y':
-                return [
-                    cos, 0, sin,
-                    0, 1, 0,
-                    -sin, 0, cos
-                ];
-            case 'z':
-                return [
-                    cos, -sin, 0,
-                    sin, cos, 0,
-                    0, 0, 1
-                ];
-        }
-    }
-
-    precalculateTransforms() {
-        const bones = this.skeleton.bones;
-        
-        for (const [boneName, bone] of Object.entries(bones)) {
-            // For arms, we need to negate the forward direction
-            let direction = { ...bone.direction };
-            if (boneName.toLowerCase().includes('arm') || boneName.toLowerCase().includes('hand')) {
-                direction.z = -direction.z; // Flip the forward direction for arms
-            }
-            
-            if (!bone.axis) {
-                this.boneTransforms.set(boneName, {
-                    direction,
-                    C: [1,0,0, 0,1,0, 0,0,1],
-                    Cinv: [1,0,0, 0,1,0, 0,0,1],
-                    B: [1,0,0, 0,1,0, 0,0,1]
-                });
-                continue;
-            }
-            
-            // Create C matrix from axis angles using specified order
-            let C = [1,0,0, 0,1,0, 0,0,1]; // Identity matrix
-            const order = bone.axis.order.toLowerCase();
-            
-            for (let i = 0; i < order.length; i++) {
-                const angle = bone.axis[order[i].toLowerCase()];
-                const rotMatrix = this.createRotationMatrix(angle, order[i]);
-                C = this.multiplyMatrices(C, rotMatrix);
-            }
-            
-            const Cinv = this.inverseMatrix(C);
-            const B = [1,0,0, 0,1,0, 0,0,1];
-            
-            this.boneTransforms.set(boneName, {
-                direction,
-                C,
-                Cinv,
-                B
-            });
-        }
+        this.addSpriteControls();
     }
     
     addAnimationControls() {
@@ -574,124 +455,151 @@ class AnimatedSkeletonViewer extends SkeletonViewer {
         const frameControl = this.createControl(
             'Frame:', 
             'range',
-            { min: 1, max: 1, value: 1, step: 1 },
+            { min: 1, max: 1, value: 1, step: 'any' },
             (value) => {
+                // Fractional frames are slerped, see ForwardKinematics.evaluate
                 this.currentFrame = Number(value);
+                if (this.playback) this.playback.seek(this.currentFrame - 1);
                 this.updateSkeleton();
                 this.render();
-            }
+            },
+            ''
         );
         
-        // Create speed control
+        // Create speed control, a multiplier of the clip's capture rate
         const speedControl = this.createControl(
             'Speed:', 
             'range',
-            { min: 1, max: 60, value: 30, step: 1 },
+            { min: MIN_SPEED, max: MAX_SPEED, value: 1, step: 0.1 },
             (value) => {
-                this.animationSpeed = Number(value);
-                if (this.isPlaying) {
-                    this.stopAnimation();
-                    this.startAnimation();
-                }
+                if (this.playback) this.playback.setSpeed(Number(value));
+            },
+            'x'
+        );
+        
+        // Create reverse control
+        const reverseControl = this.createControl(
+            'Reverse:',
+            'checkbox',
+            {},
+            (checked) => {
+                if (this.playback) this.playback.reverse = checked;
             }
         );
         
+        // Create capture rate control, AMC files do not store it
+        const frameRateControl = this.createControl(
+            'Capture rate:',
+            'number',
+            { min: 1, max: 1000, value: 120, step: 1 },
+            (value) => {
+                if (this.playback && Number(value) > 0) this.playback.frameRate = Number(value);
+            },
+            ' Hz'
+        );
+        
         animControls.appendChild(playButton);
         animControls.appendChild(frameControl);
         animControls.appendChild(speedControl);
+        animControls.appendChild(reverseControl);
+        animControls.appendChild(frameRateControl);
         
         this.controls.appendChild(animControls);
         
         this.playButton = playButton;
         this.frameControl = frameControl.querySelector('input');
+        this.speedControl = speedControl.querySelector('input');
+        this.reverseControl = reverseControl.querySelector('input');
+        this.frameRateControl = frameRateControl.querySelector('input');
     }
     
+    // Sprite sheet export, see renderSpriteSheet()
+    addSpriteControls() {
+        const spriteControls = document.createElement('div');
+        spriteControls.style.marginTop = '10px';
+
+        // Height of the standing skeleton in the sprites, it sets the scale
+        const heightControl = this.createControl(
+            'Sprite height:',
+            'number',
+            { min: 8, max: 512, value: 32, step: 1 },
+            () => {},
+            ' px'
+        );
+
+        // Frames per second of the exported animation
+        const fpsControl = this.createControl(
+            'Sprite FPS:',
+            'number',
+            { min: 1, max: 120, value: 12, step: 1 },
+            () => {},
+            ' fps'
+        );
+
+        const faceLeftControl = this.createControl(
+            'Face left:',
+            'checkbox',
+            {},
+            () => {}
+        );
+
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export sprite sheet';
+        exportButton.onclick = () => this.exportSprites();
+
+        spriteControls.appendChild(heightControl);
+        spriteControls.appendChild(fpsControl);
+        spriteControls.appendChild(faceLeftControl);
+        spriteControls.appendChild(exportButton);
+
+        this.controls.appendChild(spriteControls);
+
+        this.spriteHeightControl = heightControl.querySelector('input');
+        this.spriteFpsControl = fpsControl.querySelector('input');
+        this.faceLeftControl = faceLeftControl.querySelector('input');
+    }
+
+    // Downloads the sheet as <clip>.png and its atlas as <clip>.json
+    exportSprites() {
+        const height = Number(this.spriteHeightControl.value);
+        const fps = Number(this.spriteFpsControl.value);
+        if (!this.motion || !(height > 0) || !(fps > 0)) return;
+        const name = this.clipName || 'clip';
+        const { canvas, atlas } = renderSpriteSheet(this, this.motion, {
+            height,
+            fps,
+            faceLeft: this.faceLeftControl.checked,
+            name
+        });
+        canvas.toBlob(blob => downloadBlob(blob, name + '.png'));
+        downloadBlob(new Blob([JSON.stringify(atlas, null, 1)], { type: 'application/json' }), name + '.json');
+    }
+
+    // Returns the parser's diagnostics; the motion is not loaded when there are errors
     loadMotion(amcContent) {
         const parser = new AMCParser(this.skeleton);
-        this.frames = parser.parse(amcContent);
+        const frames = parser.parse(amcContent);
+        if (hasErrors(parser.diagnostics)) return parser.diagnostics;
+        this.motion = Motion.fromAMC(frames);
+        this.motion.frameTime = 1 / Number(this.frameRateControl.value);
+        this.playback = new Playback(this.motion);
+        this.playback.setSpeed(Number(this.speedControl.value));
+        this.playback.reverse = this.reverseControl.checked;
+        this.currentFrame = 1;
         
         // Update frame slider max value
-        this.frameControl.max = this.frames.size;
+        this.frameControl.max = this.motion.frameCount;
         
         // Initial update
         this.updateSkeleton();
         this.render();
+        return parser.diagnostics;
     }
     
     updateSkeleton() {
-        if (!this.frames || !this.frames.has(this.currentFrame)) return;
+        if (!this.motion || this.currentFrame > this.motion.frameCount) return;
         
-        const frameData = this.frames.get(this.currentFrame);
-        this.bonePositions.clear();
-        
-        const rootData = frameData.get('root') || [0, 0, 0, 0, 0, 0];
-        const rootPos = {
-            x: rootData[0],
-            y: rootData[1],
-            z: rootData[2]
-        };
-
-        const updateBonePosition = (boneName, parentPos, parentTransform) => {
-            const bone = this.skeleton.bones[boneName];
-            if (!bone) return;
-
-            const transforms = this.boneTransforms.get(boneName);
-            if (!transforms) return;
-
-            const motionData = frameData.get(boneName) || [];
-            
-            // Create motion matrix M from DOFs
-            let M = [1,0,0, 0,1,0, 0,0,1];
-            
-            if (bone.dof && motionData.length > 0) {
-                // Apply rotations in DOF order
-                bone.dof.forEach((dof, index) => {
-                    const angle = motionData[index] || 0;
-                    const axis = dof[1];
-                    const rotMatrix = this.createRotationMatrix(angle, axis);
-                    M = this.multiplyMatrices(M, rotMatrix);
-                });
-            }
-
-            // Calculate local transform L = Cinv * M * C * B
-            let localTransform = this.multiplyMatrices(transforms.Cinv, M);
-            localTransform = this.multiplyMatrices(localTransform, transforms.C);
-            localTransform = this.multiplyMatrices(localTransform, transforms.B);
-            
-            // Combine with parent transform
-            const globalTransform = parentTransform ? 
-                this.multiplyMatrices(parentTransform, localTransform) : 
-                localTransform;
-            
-            // Apply transform to bone's adjusted direction
-            const direction = this.multiplyMatrixVector(globalTransform, transforms.direction);
-            
-            // Calculate end position
-            const endPos = {
-                x: parentPos.x + direction.x * bone.length,
-                y: parentPos.y + direction.y * bone.length,
-                z: parentPos.z + direction.z * bone.length
-            };
-
-            this.bonePositions.set(boneName, {
-                start: { ...parentPos },
-                end: { ...endPos }
-            });
-
-            // Process children
-            const children = this.skeleton.hierarchy[boneName] || [];
-            children.forEach(childName => {
-                updateBonePosition(childName, endPos, globalTransform);
-            });
-        };
-
-        // Start from root's children
-        if (this.skeleton.hierarchy.root) {
-            const rootTransform = [1,0,0, 0,1,0, 0,0,1];
-            this.skeleton.hierarchy.root.forEach(rootChild => {
-                updateBonePosition(rootChild, rootPos, rootTransform);
-            });
-        }
+        this.pose = this.fk.evaluate(this.motion, this.currentFrame - 1);
     }
     
     togglePlay() {
@@ -704,35 +612,30 @@ class AnimatedSkeletonViewer extends SkeletonViewer {
     }
     
     startAnimation() {
+        if (!this.playback) return;
         this.isPlaying = true;
-        this.animate();
+        this.playback.play();
+        this.animationFrame = requestAnimationFrame((t) => this.animate(t));
     }
     
     stopAnimation() {
         this.isPlaying = false;
+        if (this.playback) this.playback.pause();
         if (this.animationFrame) {
             cancelAnimationFrame(this.animationFrame);
         }
     }
     
+    // The frame comes from the wall-clock time since the last callback (see core/Playback.js),
+    // so frames the browser could not draw in time are skipped
     animate(timestamp) {
-        if (!this.lastTimestamp) {
-            this.lastTimestamp = timestamp;
-        }
-        
-        const elapsed = timestamp - this.lastTimestamp;
-        
-        if (elapsed > (1000 / this.animationSpeed)) {
-            this.currentFrame++;
-            if (this.currentFrame > this.frames.size) {
-                this.currentFrame = 1;
-            }
-            
+        this.playback.tick(timestamp);
+        const frame = this.playback.position + 1;
+        if (frame !== this.currentFrame) {
+            this.currentFrame = frame;
             this.frameControl.value = this.currentFrame;
             this.updateSkeleton();
             this.render();
-            
-            this.lastTimestamp = timestamp;
         }
         
         if (this.isPlaying) {
@@ -741,18 +644,146 @@ class AnimatedSkeletonViewer extends SkeletonViewer {
     }
 }
 
+// Sprite sheets for the 2D platformer, which draws with macroquad (see examples/tileset.png).
+// The clip is resampled to fps and its root travel and turns are taken out (core/RootMotion.js), so the
+// character stays on the spot facing one way. Each frame is drawn by SkeletonViewer.render from the
+// side into a cell of the same size, and the cells are packed row by row into one PNG.
+// height sets the scale: the rest pose is that many pixels tall, so sheets exported with the same
+// height match each other. The atlas has per frame
+//   x, y, w, h: the cell in the sheet, in pixels
+//   duration: how long the frame shows, in milliseconds
+//   pivot: { x, y }, the point of the cell on the floor under the root, in pixels from its top left
+// The game draws a frame with its top left at the character's position minus the pivot and flips it
+// (flip_x) to face the other way.
+const SHEET_MAX_WIDTH = 2048;
+
+function renderSpriteSheet(viewer, motion, { height = 32, fps = 12, faceLeft = false, lineWidth = 1, name = 'clip' } = {}) {
+    const skeleton = viewer.skeleton;
+    const fk = viewer.fk;
+    const clip = extractRootMotion(skeleton, fk.resample(motion, fps)).inPlace;
+    const poses = fk.evaluateClip(clip);
+    const rest = fk.restPose();
+    const restHeights = rest.positions.filter(Boolean).map(position => position[1]);
+    const scale = height / (Math.max(...restHeights) - Math.min(...restHeights));
+    const rotationY = sideView(skeleton, rest, faceLeft);
+
+    // One cell size for all frames, from the extent of every bone in every frame
+    let bounds = { left: 0, right: 0, top: 0, bottom: 0 };
+    poses.forEach(pose => pose.segments.forEach(({ start, end }) => {
+        [start, end].forEach(point => {
+            const rotated = viewer.rotateY(point, rotationY);
+            bounds.left = Math.min(bounds.left, rotated.x);
+            bounds.right = Math.max(bounds.right, rotated.x);
+            bounds.top = Math.max(bounds.top, rotated.y);
+            bounds.bottom = Math.min(bounds.bottom, rotated.y);
+        });
+    }));
+    const pad = lineWidth + JOINT_RADIUS * scale + 1;
+    const left = Math.floor(bounds.left * scale - pad);
+    const top = Math.ceil(bounds.top * scale + pad);
+    const cell = {
+        w: Math.ceil(bounds.right * scale + pad) - left,
+        h: top - Math.floor(bounds.bottom * scale - pad)
+    };
+    const pivot = { x: -left, y: top };
+
+    // About as many rows as columns
+    const columns = Math.max(1, Math.min(Math.ceil(Math.sqrt(poses.length * cell.h / cell.w)), Math.floor(SHEET_MAX_WIDTH / cell.w)));
+    const canvas = document.createElement('canvas');
+    canvas.width = columns * cell.w;
+    canvas.height = Math.ceil(poses.length / columns) * cell.h;
+    const ctx = canvas.getContext('2d');
+    const frames = poses.map((pose, index) => {
+        const x = (index % columns) * cell.w;
+        const y = Math.floor(index / columns) * cell.h;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, cell.w, cell.h);
+        ctx.clip();
+        viewer.render({ ctx, pose, scale, rotationY, origin: [x + pivot.x, y + pivot.y], lineWidth, background: null });
+        ctx.restore();
+        return { x, y, w: cell.w, h: cell.h, duration: clip.frameTime * 1000, pivot: { x: pivot.x, y: pivot.y } };
+    });
+
+    return {
+        canvas,
+        atlas: {
+            image: name + '.png',
+            size: { w: canvas.width, h: canvas.height },
+            fps,
+            pixelsPerMeter: scale,
+            facing: faceLeft ? 'left' : 'right',
+            frames
+        }
+    };
+}
+
+// View angle (degrees, see SkeletonViewer.rotateY) that shows the in-place clip from the side facing
+// right, or left. In place the root has yaw 0, so it faces like the rest pose: forward is the line from
+// the right hip to the left one crossed with up, +z when there are no lhipjoint/rhipjoint bones.
+function sideView(skeleton, rest, faceLeft) {
+    const leftHip = skeleton.indexOf('lhipjoint');
+    const rightHip = skeleton.indexOf('rhipjoint');
+    let forward = [0, 1]; // x, z
+    if (leftHip > 0 && rightHip > 0) {
+        const across = vec3.subtract(vec3.create(), rest.positions[leftHip], rest.positions[rightHip]);
+        forward = [-across[2], across[0]];
+    }
+    const angle = Math.atan2(forward[1], forward[0]) * 180 / Math.PI;
+    return faceLeft ? angle + 180 : angle;
+}
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
 // Example usage:
 function initAnimatedSkeleton(containerId, asfContent, amcContent) {
     const parser = new ASFParser();
-    const skeleton = parser.parse(asfContent);
-    const bonePositions = calculateBonePositions(skeleton);
+    const asf = parser.parse(asfContent);
+    showDiagnostics('ASF', parser.diagnostics);
+    if (hasErrors(parser.diagnostics)) return null;
+    const skeleton = Skeleton.fromASF(asf);
     
-    const viewer = new AnimatedSkeletonViewer(containerId, skeleton, bonePositions);
-    viewer.loadMotion(amcContent);
+    const viewer = new AnimatedSkeletonViewer(containerId, skeleton);
+    showDiagnostics('AMC', viewer.loadMotion(amcContent), true);
     
     return viewer;
 }
 
+function hasErrors(diagnostics) {
+    return diagnostics.some(d => d.severity === 'error');
+}
+
+// Lists diagnostics in the #diagnostics element, a broken AMC can repeat the same problem
+// on every frame so only the first few are shown
+const MAX_DIAGNOSTICS = 20;
+function showDiagnostics(label, diagnostics, append = false) {
+    const list = document.getElementById('diagnostics');
+    if (!append) list.innerHTML = '';
+    const title = document.createElement('div');
+    title.textContent = label + ': ' + (diagnostics.length === 0 ? 'no problems found.' :
+        diagnostics.length + ' problems' + (hasErrors(diagnostics) ? ', the file was not loaded.' : '.'));
+    list.appendChild(title);
+    diagnostics.slice(0, MAX_DIAGNOSTICS).forEach(d => {
+        const item = document.createElement('div');
+        item.style.color = d.severity === 'error' ? '#c0392b' : '#b9770e';
+        item.textContent = d.severity + ' (line ' + d.line + '): ' + d.message;
+        list.appendChild(item);
+    });
+    if (diagnostics.length > MAX_DIAGNOSTICS) {
+        const more = document.createElement('div');
+        more.textContent = '... and ' + (diagnostics.length - MAX_DIAGNOSTICS) + ' more.';
+        list.appendChild(more);
+    }
+}
+
 // Modify handleASFFile to call drawDefaultPose
 function handleASFFile(event) {
 
@@ -783,7 +814,9 @@ function handleAMCFile(event) {
 
 function handleStart(){
     console.log("starting...");
-    initAnimatedSkeleton('skeleton-viewer', asfContent, amcContent);
+    const viewer = initAnimatedSkeleton('skeleton-viewer', asfContent, amcContent);
+    // Exported sprite sheets are named after the AMC file
+    if (viewer && amcFileInput.files.length) viewer.clipName = amcFileInput.files[0].name.replace(/\.amc$/i, '');
 } 
 
 let asfContent;
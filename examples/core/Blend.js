@@ -0,0 +1,97 @@
+// Blending two clips on the same skeleton, e.g. a transition from a walk into a run.
+// Poses are blended bone by bone: local rotations are slerped, the root position and the other dofs
+// lerped. Before a crossfade the second clip is moved over the floor and turned about the vertical
+// so that where it starts lines up with where the first one is at the transition.
+
+import { vec3, quat } from './math.js';
+import { ForwardKinematics } from './Kinematics.js';
+import { Motion } from './Motion.js';
+import { yawOf, yawRotation } from './RootMotion.js';
+
+// Values of a pose between frame values a (t = 0) and b (t = 1), both Maps as in Motion frames.
+// previous (the values of the frame before, if any) keeps the angles continuous.
+export function blendPoses(fk, a, b, t, previous) {
+    const skeleton = fk.skeleton;
+    const blended = new Map();
+    const pair = new Motion([a, b]);
+    skeleton.bones.forEach((bone, index) => {
+        if (!a.has(bone.name) && !b.has(bone.name)) return;
+        const channels = index === 0 ? bone.order.map(channel => channel.toLowerCase()) : bone.dof;
+        const valuesA = pair.values(0, bone.name);
+        const valuesB = pair.values(1, bone.name);
+        const rotation = quat.slerp(quat.create(), fk.boneRotation(index, valuesA), fk.boneRotation(index, valuesB), t);
+        const values = fk.rotationValues(index, rotation, previous && previous.get(bone.name));
+        channels.forEach((channel, k) => {
+            if (channel[0] !== 'r') values[k] = (valuesA[k] || 0) + t * ((valuesB[k] || 0) - (valuesA[k] || 0));
+        });
+        blended.set(bone.name, values);
+    });
+    return blended;
+}
+
+// A copy of motion moved and turned about the vertical (y) axis so that frame's root is over
+// position (x and z, meters; the height is kept) and its heading is yaw (radians)
+export function alignMotion(skeleton, motion, frame, position, yaw) {
+    const fk = new ForwardKinematics(skeleton);
+    const root = skeleton.root;
+    const start = fk.rootPosition(motion, frame);
+    const turn = yawRotation(yaw - yawOf(fk.boneRotation(0, motion.values(frame, 'root'))));
+    let previous = null;
+    const frames = motion.frames.map((values, index) => {
+        const offset = vec3.subtract(vec3.create(), fk.rootPosition(motion, index), start);
+        vec3.transformQuat(offset, offset, turn);
+        const moved = vec3.fromValues(position[0] + offset[0], start[1] + offset[1], position[2] + offset[2]);
+        // Back to the root's translation channels, in the file's units
+        vec3.scale(moved, moved, 1 / fk.lengthScale);
+        vec3.subtract(moved, moved, root.position);
+        const rotation = quat.multiply(quat.create(), turn, fk.boneRotation(0, motion.values(index, 'root')));
+        const rootValues = fk.rotationValues(0, rotation, previous);
+        root.order.forEach((channel, k) => {
+            if (channel[0] === 'T') rootValues[k] = moved['XYZ'.indexOf(channel[1])];
+        });
+        previous = rootValues;
+        const aligned = new Map(values);
+        aligned.set('root', rootValues);
+        return aligned;
+    });
+    return new Motion(frames, { frameTime: motion.frameTime });
+}
+
+// Crossfades from first into second over frames frames. Options:
+//   frames: length of the transition
+//   at: frame of first where the transition starts, by default so that it ends with first
+//   start: frame of second that lines up with at, 0 by default
+// second is resampled to first's frame rate when they differ and aligned (alignMotion) so its start
+// is where first is at the transition. The weight eases in and out (smoothstep).
+// Returns { motion, transition: [first frame, last frame] } with the transition frames in motion.
+export function crossfade(skeleton, first, second, { frames = 30, at, start = 0 } = {}) {
+    const fk = new ForwardKinematics(skeleton);
+    if (Math.abs(second.frameTime - first.frameTime) > 1e-9) second = fk.resample(second, 1 / first.frameTime);
+    frames = Math.max(1, Math.round(frames));
+    if (at === undefined) at = first.frameCount - frames;
+    at = Math.max(0, Math.min(first.frameCount - 1, Math.round(at)));
+    start = Math.max(0, Math.min(second.frameCount - 1, Math.round(start)));
+
+    const position = fk.rootPosition(first, at);
+    second = alignMotion(skeleton, second, start, position, yawOf(fk.boneRotation(0, first.values(at, 'root'))));
+
+    const result = first.frames.slice(0, at).map(values => new Map(values));
+    let previous = result[result.length - 1] || null;
+    for (let k = 0; start + k < second.frameCount; k++) {
+        const values = second.frames[start + k];
+        if (k >= frames) {
+            result.push(new Map(values));
+            continue;
+        }
+        const s = (k + 1) / (frames + 1);
+        const weight = s * s * (3 - 2 * s);
+        // The first clip holds its last frame if it ends during the transition
+        const from = first.frames[Math.min(first.frameCount - 1, at + k)];
+        previous = blendPoses(fk, from, values, weight, previous);
+        result.push(previous);
+    }
+    return {
+        motion: new Motion(result, { frameTime: first.frameTime }),
+        transition: [at, at + Math.min(frames, second.frameCount - start) - 1]
+    };
+}
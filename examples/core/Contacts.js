@@ -0,0 +1,172 @@
+// Foot contacts and foot-skate cleanup.
+// A foot is planted in a frame when one of its joints (the ends of its bones, e.g. lfoot's end at the
+// ball and ltoes' end at the toe tip) is close to the floor and barely moving. The floor is the lowest
+// height any foot joint reaches within a window around the frame, which follows takes whose floor
+// is not quite level. Positions are in meters, as ForwardKinematics gives them.
+
+import { vec3, quat } from './math.js';
+import { ForwardKinematics } from './Kinematics.js';
+import { Motion } from './Motion.js';
+import { ikState, statePose, constrainBone, solveTwoBone, writeValues } from './IK.js';
+
+// The CMU feet
+export const DEFAULT_FEET = [
+    { name: 'left', bones: ['lfoot', 'ltoes'] },
+    { name: 'right', bones: ['rfoot', 'rtoes'] }
+];
+
+// Labels the frames each foot is planted in. Options:
+//   feet: [{ name, bones }], the feet that exist in the skeleton are used
+//   height: meters above the floor a joint may be and still touch it
+//   speed: meters per second a touching joint may move and still be planted
+//   minFrames: shorter contacts are dropped, as jitter
+//   floorWindow: seconds before and after a frame searched for its floor height
+// Returns { floor, feet: [{ name, bones, contacts }] } with floor[frame] the floor height and
+// contacts[frame] true when the foot is planted.
+export function detectContacts(skeleton, motion,
+    { feet = DEFAULT_FEET, height = 0.05, speed = 0.3, minFrames = 3, floorWindow = 0.5 } = {}) {
+    const poses = new ForwardKinematics(skeleton).evaluateClip(motion);
+    const found = footJoints(skeleton, feet);
+    const lowest = poses.map(pose => {
+        let low = Infinity;
+        found.forEach(foot => foot.joints.forEach(joint => {
+            low = Math.min(low, pose.positions[joint][1]);
+        }));
+        return low;
+    });
+    const window = Math.round(floorWindow / motion.frameTime);
+    const floor = lowest.map((low, frame) => {
+        const around = lowest.slice(Math.max(0, frame - window), frame + window + 1);
+        const min = Math.min(...around);
+        return isFinite(min) ? min : 0;
+    });
+    return {
+        floor,
+        feet: found.map(foot => {
+            const contacts = poses.map((pose, frame) => foot.joints.some(joint => {
+                const position = pose.positions[joint];
+                if (position[1] - floor[frame] > height) return false;
+                // Central difference, one-sided at the ends of the clip
+                const before = poses[Math.max(0, frame - 1)].positions[joint];
+                const after = poses[Math.min(poses.length - 1, frame + 1)].positions[joint];
+                const frames = Math.min(poses.length - 1, frame + 1) - Math.max(0, frame - 1);
+                return frames === 0 || vec3.distance(before, after) / (frames * motion.frameTime) <= speed;
+            }));
+            return { name: foot.name, bones: foot.bones, contacts: dropShortRuns(contacts, minFrames) };
+        })
+    };
+}
+
+// Footstep events from detectContacts(): { foot, start, end, time, duration } for every contact,
+// with start and end the first and last planted frame and time and duration in seconds
+export function footsteps(contacts, frameTime) {
+    const steps = [];
+    contacts.feet.forEach(foot => {
+        runs(foot.contacts).forEach(([start, end]) => {
+            steps.push({ foot: foot.name, start, end, time: start * frameTime, duration: (end - start + 1) * frameTime });
+        });
+    });
+    return steps.sort((a, b) => a.start - b.start);
+}
+
+// Removes foot skate: the foot is pinned for the whole of each contact. Its lowest joint, the one
+// touching the floor, is followed from frame to frame so the foot can still roll from heel to toe, and
+// the ankle (the start of the foot's first bone) is moved back by however far that joint slid along
+// the floor; the leg reaches it with two-bone IK and the foot keeps its world rotation, so the joint
+// on the floor stays put. The foot is pinned where it is in the middle of the contact, which halves
+// the correction at either edge, and the correction fades in over the blendFrames frames before a
+// contact and out over those after it so the leg does not pop. The leg IK ignores the joint limits
+// unless limits is set: clamping a clip that already leaves them (many CMU takes do) would move the
+// feet more than the skate did. Returns a new Motion.
+export function cleanupFootSkate(skeleton, motion, contacts, { blendFrames = 5, limits = false } = {}) {
+    const fk = new ForwardKinematics(skeleton);
+    const poses = fk.evaluateClip(motion);
+    const frames = motion.frames.map(values => new Map(values));
+    footJoints(skeleton, contacts.feet).forEach((foot, k) => {
+        const footBone = foot.joints[0];
+        const ankleBone = skeleton.bones[footBone].parent;
+        if (ankleBone <= 0 || skeleton.bones[ankleBone].parent <= 0) return;
+        const corrections = poses.map(() => null);
+        const weights = poses.map(() => 0);
+        const fade = (frame, correction, weight) => {
+            if (frame < 0 || frame >= poses.length || weight <= weights[frame]) return;
+            corrections[frame] = correction;
+            weights[frame] = weight;
+        };
+        runs(contacts.feet[k].contacts).forEach(([start, end]) => {
+            // How far the touching joint has slid since the contact began, frame by frame
+            const slides = [vec3.create()];
+            for (let frame = start + 1; frame <= end; frame++) {
+                const positions = poses[frame].positions;
+                const lowest = foot.joints.reduce((low, joint) => positions[joint][1] < positions[low][1] ? joint : low);
+                const step = vec3.subtract(vec3.create(), positions[lowest], poses[frame - 1].positions[lowest]);
+                step[1] = 0;
+                slides.push(vec3.add(vec3.create(), slides[slides.length - 1], step));
+            }
+            const pin = slides[Math.floor(slides.length / 2)];
+            slides.forEach((slide, i) => fade(start + i, vec3.subtract(vec3.create(), pin, slide), 1));
+            for (let i = 1; i <= blendFrames; i++) {
+                const weight = 1 - i / (blendFrames + 1);
+                fade(start - i, corrections[start], weight);
+                fade(end + i, corrections[end], weight);
+            }
+        });
+        corrections.forEach((correction, frame) => {
+            if (!correction) return;
+            const positions = poses[frame].positions;
+            const lowest = foot.joints.reduce((low, joint) => positions[joint][1] < positions[low][1] ? joint : low);
+            const shift = vec3.scale(vec3.create(), correction, weights[frame]);
+            const target = vec3.add(vec3.create(), positions[ankleBone], shift);
+            let state;
+            // The foot's dofs may not reach its old world rotation (the CMU feet have no twist), which
+            // moves the touching joint a little: aim the ankle off by that much and solve again
+            for (let pass = 0; pass < 3; pass++) {
+                state = ikState(fk, new Motion([frames[frame]]), 0);
+                solveTwoBone(fk, state, ankleBone, target, { limits });
+                // Turn the foot back to the world rotation it had
+                const legWorld = statePose(fk, state).rotations[ankleBone];
+                state.locals[footBone] = quat.multiply(quat.create(), quat.invert(quat.create(), legWorld), poses[frame].rotations[footBone]);
+                if (limits) constrainBone(fk, state, footBone);
+                else state.locals[footBone] = fk.boneRotation(footBone, fk.rotationValues(footBone, state.locals[footBone]));
+                const reached = statePose(fk, state).positions[lowest];
+                const miss = vec3.subtract(vec3.create(), vec3.add(vec3.create(), positions[lowest], shift), reached);
+                miss[1] = 0;
+                if (vec3.length(miss) < 1e-5) break;
+                vec3.add(target, target, miss);
+            }
+            frames[frame] = writeValues(fk, state, frames[frame], [footBone, ankleBone, skeleton.bones[ankleBone].parent]);
+        });
+    });
+    return new Motion(frames, { frameTime: motion.frameTime });
+}
+
+// The feet found in the skeleton, with the indices of their joints
+function footJoints(skeleton, feet) {
+    return feet
+        .map(foot => ({ ...foot, joints: foot.bones.map(name => skeleton.indexOf(name)) }))
+        .filter(foot => foot.joints.length > 0 && foot.joints.every(joint => joint > 0));
+}
+
+// [first, last] frame of every run of true values
+function runs(flags) {
+    const found = [];
+    let start = -1;
+    flags.forEach((flag, frame) => {
+        if (flag && start === -1) start = frame;
+        if (!flag && start !== -1) {
+            found.push([start, frame - 1]);
+            start = -1;
+        }
+    });
+    if (start !== -1) found.push([start, flags.length - 1]);
+    return found;
+}
+
+function dropShortRuns(flags, minFrames) {
+    const kept = flags.map(() => false);
+    runs(flags).forEach(([start, end]) => {
+        if (end - start + 1 < minFrames) return;
+        for (let frame = start; frame <= end; frame++) kept[frame] = true;
+    });
+    return kept;
+}
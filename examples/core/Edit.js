@@ -0,0 +1,51 @@
+// Cutting clips apart and putting them back together. Frame ranges are inclusive and indexed from 0.
+// Pieces put one after another are aligned so the clip carries on over the floor: each piece is moved
+// and turned (alignMotion) so it starts one frame's travel on from where the one before it stopped,
+// heading the same way, instead of jumping back to where it was captured.
+
+import { vec3 } from './math.js';
+import { ForwardKinematics } from './Kinematics.js';
+import { Motion } from './Motion.js';
+import { yawOf } from './RootMotion.js';
+import { alignMotion } from './Blend.js';
+
+// Frames start .. end as a clip of their own
+export function trimMotion(motion, start, end) {
+    const frames = motion.frames.slice(Math.max(0, start), Math.min(motion.frameCount - 1, end) + 1);
+    return new Motion(frames.map(values => new Map(values)), { frameTime: motion.frameTime });
+}
+
+// Joins the ranges { motion, start, end } into one clip at the first one's frame rate (others are
+// resampled to it). With align off the pieces keep their captured root positions.
+export function spliceMotions(skeleton, pieces, { align = true } = {}) {
+    const fk = new ForwardKinematics(skeleton);
+    let result = null;
+    pieces.forEach(piece => {
+        let motion = trimMotion(piece.motion, piece.start, piece.end);
+        if (motion.frameCount === 0) return;
+        if (!result) {
+            result = motion;
+            return;
+        }
+        if (Math.abs(motion.frameTime - result.frameTime) > 1e-9) motion = fk.resample(motion, 1 / result.frameTime);
+        const last = result.frameCount - 1;
+        if (align) {
+            const position = fk.rootPosition(result, last);
+            if (last > 0) {
+                const step = vec3.subtract(vec3.create(), position, fk.rootPosition(result, last - 1));
+                vec3.add(position, position, step);
+            }
+            motion = alignMotion(skeleton, motion, 0, position, yawOf(fk.boneRotation(0, result.values(last, 'root'))));
+        }
+        result = new Motion(result.frames.concat(motion.frames), { frameTime: result.frameTime });
+    });
+    return result || new Motion();
+}
+
+// The clip with frames start .. end taken out, the part after them joined on to the part before
+export function cutMotion(skeleton, motion, start, end, options) {
+    return spliceMotions(skeleton, [
+        { motion, start: 0, end: start - 1 },
+        { motion, start: end + 1, end: motion.frameCount - 1 }
+    ], options);
+}
@@ -0,0 +1,34 @@
+// Game clip: a Motion baked into the plain JSON a game runtime can play without an ASF/AMC parser.
+//   bones: [{ name, parent, offset }], parent the index of the parent bone (-1 for the root) and
+//          offset the vector (meters) from the bone's start to its end with no rotation applied
+//   frames: [{ root, rotations, offsets }], root the root position (meters) and rotations the local
+//          rotation of every bone as a quaternion [x, y, z, w]. offsets is only there when some bone
+//          slides or stretches (a tx, ty, tz or l dof): the offset of every bone in that frame, which
+//          replaces bones[].offset, the offset at rest.
+// A bone's world rotation is its parent's times its local one, and its end is its start (the parent's
+// end, the root position for bones on the root) plus its offset turned by its world rotation.
+
+import { ForwardKinematics } from './Kinematics.js';
+
+export function gameClip(skeleton, motion, { name = skeleton.name, precision = 5 } = {}) {
+    const fk = new ForwardKinematics(skeleton);
+    const round = x => Number(x.toFixed(precision));
+    const rest = skeleton.bones.map((bone, index) => fk.boneOffset(index, []));
+    const moving = skeleton.bones.some((bone, index) => index > 0 && bone.dof.some(dof => dof[0] !== 'r'));
+    const frames = [];
+    for (let frame = 0; frame < motion.frameCount; frame++) {
+        const baked = {
+            root: fk.rootPosition(motion, frame).map(round),
+            rotations: fk.localRotations(motion, frame).map(q => q.map(round))
+        };
+        if (moving) baked.offsets = fk.boneOffsets(motion, frame).map(offset => offset.map(round));
+        frames.push(baked);
+    }
+    return {
+        name,
+        frameRate: 1 / motion.frameTime,
+        frameCount: motion.frameCount,
+        bones: skeleton.bones.map((bone, index) => ({ name: bone.name, parent: bone.parent, offset: rest[index].map(round) })),
+        frames
+    };
+}
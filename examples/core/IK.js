@@ -0,0 +1,188 @@
+// Inverse kinematics on a Skeleton. The solvers edit an IK state, one frame opened up into what
+// ForwardKinematics.pose() takes: the root position, the local rotation of every bone and the bone
+// offsets. writeValues() turns the edited rotations back into AMC values.
+// With limits on (the default) every rotation a solver sets is projected onto the bone's dofs and
+// clamped to its ASF limits, so the pose it leaves can be written back as valid AMC values.
+
+import { vec3, quat } from './math.js';
+import { clampValues } from './Limits.js';
+
+export function ikState(fk, motion, frame) {
+    return {
+        rootPosition: fk.rootPosition(motion, frame),
+        locals: fk.localRotations(motion, frame),
+        offsets: fk.boneOffsets(motion, frame)
+    };
+}
+
+export function statePose(fk, state) {
+    return fk.pose(state.rootPosition, state.locals, state.offsets);
+}
+
+// The frame's values (a Map as in Motion frames) with the rotation dofs of the listed bone indices
+// replaced from the state; their other dofs keep their values
+export function writeValues(fk, state, values, bones) {
+    const written = new Map(values);
+    bones.forEach(index => {
+        const bone = fk.skeleton.bones[index];
+        const original = values.get(bone.name) || [];
+        const channels = index === 0 ? bone.order.map(channel => channel.toLowerCase()) : bone.dof;
+        const rotated = fk.rotationValues(index, state.locals[index], original);
+        written.set(bone.name, channels.map((channel, k) => channel[0] === 'r' ? rotated[k] : (original[k] || 0)));
+    });
+    return written;
+}
+
+// Moves the end of bone end onto target. A chain of 2 bones is solved with solveTwoBone(), other
+// chains (and a bone hanging off the root) with solveCCD(). Returns whether the target was reached.
+// There is no FABRIK: it moves joint positions as if every bone turned freely, and once the knees,
+// elbows and twist-only wrists are projected back onto their dofs it rarely reaches the target.
+export function solveIK(fk, state, end, target, { chain = 2, ...options } = {}) {
+    if (chain === 2 && fk.skeleton.bones[end].parent > 0) return solveTwoBone(fk, state, end, target, options);
+    return solveCCD(fk, state, end, target, { chain, ...options });
+}
+
+// Indices of the bones a chain of chain bones ending at end moves, from end upwards and never the
+// root: the bones to pass to writeValues() after solveIK()
+export function chainBones(skeleton, end, chain = 2) {
+    const bones = [];
+    for (let index = end; index > 0 && bones.length < chain; index = skeleton.bones[index].parent) bones.push(index);
+    return bones;
+}
+
+// The bone's rotation as its dofs can express it, inside its limits
+export function constrainBone(fk, state, index) {
+    if (index === 0) return;
+    const bone = fk.skeleton.bones[index];
+    state.locals[index] = fk.boneRotation(index, clampValues(bone, fk.rotationValues(index, state.locals[index])));
+}
+
+// Cyclic coordinate descent over the chain bones ending at end (at most chain of them, never the
+// root): each pass turns every bone, from end upwards, so the chain's end points from the bone's start
+// at the target. Stops once the end is within tolerance meters of the target or after iterations passes.
+export function solveCCD(fk, state, end, target, { chain = 3, iterations = 20, tolerance = 1e-3, limits = true } = {}) {
+    const bones = fk.skeleton.bones;
+    const joints = chainBones(fk.skeleton, end, chain);
+    for (let pass = 0; pass < iterations; pass++) {
+        for (const index of joints) {
+            const pose = statePose(fk, state);
+            if (vec3.distance(pose.positions[end], target) <= tolerance) return true;
+            const start = pose.positions[bones[index].parent];
+            const from = vec3.normalize(vec3.create(), vec3.subtract(vec3.create(), pose.positions[end], start));
+            const to = vec3.normalize(vec3.create(), vec3.subtract(vec3.create(), target, start));
+            if (vec3.length(from) === 0 || vec3.length(to) === 0) continue;
+            const world = quat.multiply(quat.create(), quat.rotationTo(quat.create(), from, to), pose.rotations[index]);
+            const parentWorld = pose.rotations[bones[index].parent];
+            state.locals[index] = quat.multiply(quat.create(), quat.invert(quat.create(), parentWorld), world);
+            if (limits) constrainBone(fk, state, index);
+        }
+    }
+    return vec3.distance(statePose(fk, state).positions[end], target) <= tolerance;
+}
+
+// Analytic two-bone IK: moves the end of bone lower (e.g. ltibia, whose end is the ankle) onto target
+// by bending lower against its parent (lfemur) and then swinging the parent about its start (the hip).
+// A lower bone with a single rotation dof bends about that axis, as a knee or elbow hinge does;
+// otherwise it bends in the plane the two bones make now. A target out of reach is approached as
+// closely as the bone lengths allow, and with limits the bones then keep to them. Returns whether
+// the target was reached (within tolerance meters).
+export function solveTwoBone(fk, state, lower, target, { tolerance = 1e-3, limits = true } = {}) {
+    const bones = fk.skeleton.bones;
+    const upper = bones[lower].parent;
+    if (upper <= 0) throw new Error(`"${bones[lower].name}" needs a parent below the root for two-bone IK.`);
+    const pose = statePose(fk, state);
+    const start = pose.positions[bones[upper].parent];
+    const joint = pose.positions[upper];
+    const end = pose.positions[lower];
+    const upperWorld = pose.rotations[upper];
+
+    // Bend: rotate the lower bone by theta about the hinge until the chain spans the target distance
+    const hinge = hingeAxis(fk, lower, start, joint, end, upperWorld);
+    const toStart = vec3.subtract(vec3.create(), start, joint);
+    const toEnd = vec3.subtract(vec3.create(), end, joint);
+    const reach = vec3.length(toStart) + vec3.length(toEnd);
+    const shortest = Math.abs(vec3.length(toStart) - vec3.length(toEnd));
+    const wanted = vec3.distance(start, target);
+    const distance = Math.max(shortest, Math.min(reach, wanted));
+    // |start - end(theta)|^2 = |toStart|^2 + |toEnd|^2 - 2 toStart . R(theta) toEnd, and
+    // toStart . R(theta) toEnd = c + a cos(theta) + b sin(theta) splitting both along the hinge
+    const along = vec3.dot(toStart, hinge) * vec3.dot(toEnd, hinge);
+    const endAcross = vec3.scale(vec3.create(), hinge, -vec3.dot(toEnd, hinge));
+    vec3.add(endAcross, endAcross, toEnd);
+    const a = vec3.dot(toStart, endAcross);
+    const b = vec3.dot(toStart, vec3.cross(vec3.create(), hinge, endAcross));
+    const amplitude = Math.hypot(a, b);
+    let theta = 0;
+    if (amplitude > 1e-12) {
+        const dot = (vec3.dot(toStart, toStart) + vec3.dot(toEnd, toEnd) - distance * distance) / 2;
+        const phase = Math.atan2(b, a);
+        const spread = Math.acos(Math.max(-1, Math.min(1, (dot - along) / amplitude)));
+        // Of the two bends that give the distance, take the one inside the hinge's limits and nearer
+        // the middle of its range (a straight knee could bend either way), else the smaller change
+        const cost = hingeCost(fk, state, lower);
+        theta = [phase + spread, phase - spread]
+            .map(angle => Math.atan2(Math.sin(angle), Math.cos(angle)))
+            .reduce((best, angle) => {
+                const [overshoot, off] = cost(angle);
+                const [bestOvershoot, bestOff] = cost(best);
+                return overshoot < bestOvershoot - 1e-9 || (overshoot <= bestOvershoot + 1e-9 && off < bestOff) ? angle : best;
+            });
+    }
+    const bend = quat.setAxisAngle(quat.create(), hinge, theta);
+    const localHinge = vec3.transformQuat(vec3.create(), hinge, quat.invert(quat.create(), upperWorld));
+    const localBend = quat.setAxisAngle(quat.create(), localHinge, theta);
+    state.locals[lower] = quat.multiply(quat.create(), localBend, state.locals[lower]);
+
+    // Swing: turn the upper bone about the chain start so the bent end points at the target
+    const bentEnd = vec3.add(vec3.create(), joint, vec3.transformQuat(vec3.create(), toEnd, bend));
+    const from = vec3.normalize(vec3.create(), vec3.subtract(vec3.create(), bentEnd, start));
+    const to = vec3.normalize(vec3.create(), vec3.subtract(vec3.create(), target, start));
+    if (vec3.length(from) > 0 && vec3.length(to) > 0) {
+        const swing = quat.rotationTo(quat.create(), from, to);
+        const parentWorld = pose.rotations[bones[upper].parent];
+        const world = quat.multiply(quat.create(), swing, upperWorld);
+        state.locals[upper] = quat.multiply(quat.create(), quat.invert(quat.create(), parentWorld), world);
+    }
+    if (limits) {
+        constrainBone(fk, state, lower);
+        constrainBone(fk, state, upper);
+    }
+    return vec3.distance(statePose(fk, state).positions[lower], target) <= tolerance;
+}
+
+// World axis the lower bone of a two-bone chain bends about
+function hingeAxis(fk, lower, start, joint, end, upperWorld) {
+    const dofs = fk.skeleton.bones[lower].dof.filter(dof => dof[0] === 'r');
+    if (dofs.length === 1) {
+        const axis = [0, 0, 0];
+        axis[['rx', 'ry', 'rz'].indexOf(dofs[0])] = 1;
+        vec3.transformQuat(axis, axis, fk.axisQuats[lower]);
+        return vec3.transformQuat(axis, axis, upperWorld);
+    }
+    const normal = vec3.cross(vec3.create(), vec3.subtract(vec3.create(), start, joint), vec3.subtract(vec3.create(), end, joint));
+    if (vec3.length(normal) < 1e-9) {
+        // Straight chain, bend about the upper bone's x axis
+        return vec3.transformQuat(normal, [1, 0, 0], upperWorld);
+    }
+    return vec3.normalize(normal, normal);
+}
+
+// Cost of bending the lower bone by an angle more: [how far (radians) a single-dof hinge then leaves
+// its limits, how far it is from the middle of them]. A hinge's local rotation is
+// axis * R(angle) * axis^-1, so bending about its axis adds to its dof. Without a limited hinge
+// the cost is just the size of the bend.
+function hingeCost(fk, state, lower) {
+    const bone = fk.skeleton.bones[lower];
+    const k = bone.dof.findIndex(dof => dof[0] === 'r');
+    const limit = bone.limits[k];
+    if (bone.dof.filter(dof => dof[0] === 'r').length !== 1 || !limit) return angle => [0, Math.abs(angle)];
+    const factor = fk.skeleton.angleFactor;
+    const current = fk.rotationValues(lower, state.locals[lower])[k] * factor;
+    const min = limit[0] * factor;
+    const max = limit[1] * factor;
+    return angle => {
+        const value = current + angle;
+        const middle = isFinite(min) && isFinite(max) ? (min + max) / 2 : current;
+        return [Math.max(0, min - value, value - max), Math.abs(value - middle)];
+    };
+}
@@ -0,0 +1,261 @@
+// Forward kinematics over a Skeleton and a Motion.
+// Every bone's local rotation is axis * R(dofs) * axis^-1 with R composed in the bone's dof order,
+// and a bone's end is its parent's end plus its offset (direction*length, stretched by l and moved by
+// tx/ty/tz along its axes) rotated by the product of the local rotations from the root down.
+// Positions are in meters (see core/Units.js) unless lengthScale, the factor applied to the file's
+// lengths, says otherwise; 1 / units.length gives the file's base units (inches for CMU clips).
+
+import { vec3, quat, euler2quat, quat2dofEulers } from './math.js';
+import { Motion } from './Motion.js';
+
+export class ForwardKinematics {
+    constructor(skeleton, { lengthScale = skeleton.metersPerUnit } = {}) {
+        this.skeleton = skeleton;
+        this.lengthScale = lengthScale;
+        const factor = skeleton.angleFactor;
+        this.axisQuats = skeleton.bones.map(bone =>
+            euler2quat(bone.axis.map(angle => angle * factor), bone.axisOrder)
+        );
+        this.axisInverses = this.axisQuats.map(q => quat.invert(quat.create(), q));
+    }
+
+    // Local rotation of one bone from its AMC values
+    boneRotation(index, values) {
+        const bone = this.skeleton.bones[index];
+        const factor = this.skeleton.angleFactor;
+        let eulers = [0, 0, 0];
+        let order = '';
+        if (index === 0) {
+            const channels = splitRootChannels(bone, values);
+            eulers = channels.eulers.map(angle => angle * factor);
+            order = channels.rotationOrder;
+        } else {
+            bone.dof.forEach((dof, k) => {
+                const axis = ['rx', 'ry', 'rz'].indexOf(dof);
+                if (axis === -1) return;
+                eulers[axis] = (values[k] || 0) * factor;
+                order += 'XYZ'[axis];
+            });
+        }
+        const rotation = quat.multiply(quat.create(), this.axisQuats[index], euler2quat(eulers, order || 'XYZ'));
+        return quat.multiply(rotation, rotation, this.axisInverses[index]);
+    }
+
+    // Offset of one bone from its start to its end, with the tx, ty, tz and l dofs applied
+    boneOffset(index, values) {
+        const bone = this.skeleton.bones[index];
+        const translation = vec3.create();
+        let length = bone.length;
+        bone.dof.forEach((dof, k) => {
+            const value = values[k] || 0;
+            if (dof === 'l') length += value;
+            else if (dof === 'tx') translation[0] = value;
+            else if (dof === 'ty') translation[1] = value;
+            else if (dof === 'tz') translation[2] = value;
+        });
+        // The translation is given in the bone's axis frame
+        vec3.transformQuat(translation, translation, this.axisQuats[index]);
+        const offset = vec3.scale(vec3.create(), bone.direction, length);
+        vec3.add(offset, offset, translation);
+        return vec3.scale(offset, offset, this.lengthScale);
+    }
+
+    localRotations(motion, frame) {
+        return this.skeleton.bones.map((bone, index) => this.boneRotation(index, motion.values(frame, bone.name)));
+    }
+
+    boneOffsets(motion, frame) {
+        return this.skeleton.bones.map((bone, index) => this.boneOffset(index, motion.values(frame, bone.name)));
+    }
+
+    // Root position: the root's position plus its translation channels
+    rootPosition(motion, frame) {
+        const root = this.skeleton.root;
+        const translation = splitRootChannels(root, motion.values(frame, 'root')).translation;
+        const position = vec3.add(vec3.create(), translation, root.position);
+        return vec3.scale(position, position, this.lengthScale);
+    }
+
+    // Pose at any frame position. A fractional frame is blended from the two frames around it:
+    // local rotations are slerped, the root position and the bone offsets lerped
+    evaluate(motion, frame) {
+        const [from, to, t] = frameSpan(motion, frame);
+        if (t === 0) {
+            return this.pose(this.rootPosition(motion, from), this.localRotations(motion, from), this.boneOffsets(motion, from));
+        }
+        const rotationsTo = this.localRotations(motion, to);
+        const offsetsTo = this.boneOffsets(motion, to);
+        return this.pose(
+            vec3.lerp(vec3.create(), this.rootPosition(motion, from), this.rootPosition(motion, to), t),
+            this.localRotations(motion, from).map((q, index) => quat.slerp(quat.create(), q, rotationsTo[index], t)),
+            this.boneOffsets(motion, from).map((offset, index) => vec3.lerp(vec3.create(), offset, offsetsTo[index], t))
+        );
+    }
+
+    // Pose at a time in seconds from the start of the motion
+    evaluateAt(motion, time) {
+        return this.evaluate(motion, time / motion.frameTime);
+    }
+
+    // AMC values of every bone at any frame position, blended like evaluate(): the rotation dofs are
+    // slerped and written back as angles in the bone's dof order, the other dofs lerped
+    sampleValues(motion, frame) {
+        const [from, to, t] = frameSpan(motion, frame);
+        const values = new Map();
+        this.skeleton.bones.forEach((bone, index) => {
+            if (!motion.frames[from].has(bone.name)) return;
+            const fromValues = motion.values(from, bone.name);
+            values.set(bone.name, t === 0 ? fromValues.slice() : this.blendValues(index, fromValues, motion.values(to, bone.name), t));
+        });
+        return values;
+    }
+
+    blendValues(index, a, b, t) {
+        const bone = this.skeleton.bones[index];
+        const factor = this.skeleton.angleFactor;
+        const channels = index === 0 ? bone.order.map(channel => channel.toLowerCase()) : bone.dof;
+        const blended = channels.map((channel, k) => (a[k] || 0) + t * ((b[k] || 0) - (a[k] || 0)));
+        const eulersA = [0, 0, 0];
+        const eulersB = [0, 0, 0];
+        let order = '';
+        channels.forEach((channel, k) => {
+            const axis = ['rx', 'ry', 'rz'].indexOf(channel);
+            if (axis === -1) return;
+            eulersA[axis] = (a[k] || 0) * factor;
+            eulersB[axis] = (b[k] || 0) * factor;
+            order += 'XYZ'[axis];
+        });
+        if (order === '') return blended;
+        const rotation = quat.slerp(quat.create(), euler2quat(eulersA, order), euler2quat(eulersB, order), t);
+        const eulers = quat2dofEulers(rotation, order);
+        const period = 2 * Math.PI / factor;
+        channels.forEach((channel, k) => {
+            const axis = ['rx', 'ry', 'rz'].indexOf(channel);
+            if (axis === -1) return;
+            // Pick the turn of the angle closest to the plain lerp so curves stay continuous
+            const angle = eulers[axis] / factor;
+            blended[k] = angle + period * Math.round((blended[k] - angle) / period);
+        });
+        return blended;
+    }
+
+    // AMC values of one bone for a local rotation, the inverse of boneRotation(): the rotation is seen in
+    // the bone's axis frame and split into its rotation dofs (turns about axes it has no dof for are
+    // dropped), the other dofs are 0. With the previous values each angle takes the turn closest to
+    // them, so curves stay continuous.
+    rotationValues(index, rotation, previous) {
+        const bone = this.skeleton.bones[index];
+        const factor = this.skeleton.angleFactor;
+        const channels = index === 0 ? bone.order.map(channel => channel.toLowerCase()) : bone.dof;
+        let order = '';
+        if (index === 0) {
+            order = splitRootChannels(bone, []).rotationOrder;
+        } else {
+            channels.forEach(channel => {
+                const axis = ['rx', 'ry', 'rz'].indexOf(channel);
+                if (axis !== -1) order += 'XYZ'[axis];
+            });
+        }
+        const values = channels.map(() => 0);
+        if (order === '') return values;
+        const local = quat.multiply(quat.create(), this.axisInverses[index], rotation);
+        quat.multiply(local, local, this.axisQuats[index]);
+        const eulers = quat2dofEulers(local, order);
+        const period = 2 * Math.PI / factor;
+        channels.forEach((channel, k) => {
+            const axis = ['rx', 'ry', 'rz'].indexOf(channel);
+            if (axis === -1) return;
+            const angle = eulers[axis] / factor;
+            values[k] = previous ? angle + period * Math.round((previous[k] - angle) / period) : angle;
+        });
+        return values;
+    }
+
+    // The motion resampled to frameRate frames per second over the same time span,
+    // e.g. a 120 Hz CMU clip down to 30 Hz
+    resample(motion, frameRate) {
+        if (motion.frameCount === 0) return new Motion([], { frameTime: 1 / frameRate });
+        const step = 1 / (frameRate * motion.frameTime);
+        const count = Math.floor((motion.frameCount - 1) / step + 1e-9) + 1;
+        const frames = [];
+        for (let k = 0; k < count; k++) {
+            frames.push(this.sampleValues(motion, k * step));
+        }
+        return new Motion(frames, { frameTime: 1 / frameRate });
+    }
+
+    // The skeleton as the ASF describes it, with every dof at zero
+    restPose() {
+        const bones = this.skeleton.bones;
+        const rootPosition = vec3.scale(vec3.create(), this.skeleton.root.position, this.lengthScale);
+        return this.pose(
+            rootPosition,
+            bones.map((bone, index) => this.boneRotation(index, [])),
+            bones.map((bone, index) => this.boneOffset(index, []))
+        );
+    }
+
+    evaluateClip(motion) {
+        const poses = [];
+        for (let frame = 0; frame < motion.frameCount; frame++) {
+            poses.push(this.evaluate(motion, frame));
+        }
+        return poses;
+    }
+
+    // Walks the hierarchy from the root. Returns
+    //   positions: end point of every bone (the root's is its position)
+    //   rotations: world rotation of every bone
+    //   segments: { bone, start, end } for every bone but the root, ready to draw
+    pose(rootPosition, localRotations, offsets) {
+        const bones = this.skeleton.bones;
+        const positions = new Array(bones.length);
+        const rotations = new Array(bones.length);
+        positions[0] = rootPosition;
+        rotations[0] = localRotations[0];
+        const visit = index => {
+            bones[index].children.forEach(child => {
+                rotations[child] = quat.multiply(quat.create(), rotations[index], localRotations[child]);
+                const offset = vec3.transformQuat(vec3.create(), offsets[child], rotations[child]);
+                positions[child] = vec3.add(offset, positions[index], offset);
+                visit(child);
+            });
+        };
+        visit(0);
+        const segments = [];
+        bones.forEach((bone, index) => {
+            if (index > 0 && positions[index] && bone.parent !== -1) {
+                segments.push({ bone: index, start: positions[bone.parent], end: positions[index] });
+            }
+        });
+        return { positions, rotations, segments };
+    }
+}
+
+// The two frames around a frame position and how far it is between them
+function frameSpan(motion, frame) {
+    const last = motion.frameCount - 1;
+    const position = Math.max(0, Math.min(last, frame));
+    const from = Math.floor(position + 1e-9);
+    const to = Math.min(from + 1, last);
+    const t = position - from;
+    return [from, to, t > 1e-9 && to !== from ? t : 0];
+}
+
+// Splits a root line into translation and euler angles following the root's order channels
+// (e.g. TX TY TZ RZ RY RX); rotationOrder lists the rotation axes in the order they are applied
+export function splitRootChannels(root, values) {
+    const order = root.order || ['TX', 'TY', 'TZ', 'RX', 'RY', 'RZ'];
+    const channels = { translation: [0, 0, 0], eulers: [0, 0, 0], rotationOrder: '' };
+    order.forEach((channel, k) => {
+        const axis = 'XYZ'.indexOf(channel[1].toUpperCase());
+        const value = values[k] || 0;
+        if (channel[0].toUpperCase() === 'T') {
+            channels.translation[axis] = value;
+        } else {
+            channels.eulers[axis] = value;
+            channels.rotationOrder += channel[1].toUpperCase();
+        }
+    });
+    return channels;
+}
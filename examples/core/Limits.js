@@ -0,0 +1,64 @@
+// ASF joint limits: each bone's limits hold one [min, max] pair per dof, in the same units as its
+// AMC values. parseASF() reads "inf" and "-inf" as Infinity and -Infinity, which leave that side open.
+
+import { Motion } from './Motion.js';
+
+// The values of one bone with every dof held inside its limits
+export function clampValues(bone, values) {
+    return values.map((value, k) => {
+        const limit = bone.limits[k];
+        if (!limit) return value;
+        if (value < limit[0]) return limit[0];
+        if (value > limit[1]) return limit[1];
+        return value;
+    });
+}
+
+// Violations in one frame: { frame, bone, dof, value, min, max } for every dof outside its limits.
+// tolerance (in the values' units) ignores tiny overshoots, by default the round-off of exported
+// files (-2e-15 against a limit of 0)
+export function frameViolations(skeleton, motion, frame, tolerance = 1e-6) {
+    const violations = [];
+    skeleton.bones.forEach(bone => {
+        const values = motion.values(frame, bone.name);
+        bone.dof.forEach((dof, k) => {
+            const limit = bone.limits[k];
+            if (!limit || k >= values.length) return;
+            const [min, max] = limit;
+            if (values[k] < min - tolerance || values[k] > max + tolerance) {
+                violations.push({ frame, bone: bone.name, dof, value: values[k], min, max });
+            }
+        });
+    });
+    return violations;
+}
+
+// Per-frame violation report of a whole clip: frames[i] lists the violations of frame i,
+// count is their total and bones counts them per bone
+export function limitReport(skeleton, motion, tolerance) {
+    const frames = [];
+    const bones = {};
+    let count = 0;
+    for (let frame = 0; frame < motion.frameCount; frame++) {
+        const violations = frameViolations(skeleton, motion, frame, tolerance);
+        violations.forEach(violation => {
+            bones[violation.bone] = (bones[violation.bone] || 0) + 1;
+        });
+        count += violations.length;
+        frames.push(violations);
+    }
+    return { frames, count, bones };
+}
+
+// A copy of the motion with every bone clamped to its limits
+export function clampMotion(skeleton, motion) {
+    const frames = motion.frames.map(frame => {
+        const clamped = new Map();
+        frame.forEach((values, name) => {
+            const bone = skeleton.bone(name);
+            clamped.set(name, bone && bone.index !== 0 ? clampValues(bone, values) : values.slice());
+        });
+        return clamped;
+    });
+    return new Motion(frames, { frameTime: motion.frameTime });
+}
@@ -0,0 +1,105 @@
+// Loops for cyclic clips such as walks and runs.
+// Frames are compared by pose and velocity with the root's travel and heading taken out: every joint
+// position is measured from the root, over the floor, turned so the root faces yaw 0. The best loop
+// is the pair of frames (start, end) that are most alike, so that playing start .. end - 1 over and
+// over is as close to seamless as the clip allows; makeLoop() then blends what is left of the seam.
+
+import { vec3 } from './math.js';
+import { ForwardKinematics } from './Kinematics.js';
+import { Motion } from './Motion.js';
+import { yawOf, yawRotation } from './RootMotion.js';
+import { alignMotion, blendPoses } from './Blend.js';
+
+// Joint positions of every frame relative to the root (see above), in meters
+export function poseFeatures(skeleton, motion) {
+    const fk = new ForwardKinematics(skeleton);
+    return fk.evaluateClip(motion).map(pose => {
+        const root = pose.positions[0];
+        const turn = yawRotation(-yawOf(pose.rotations[0]));
+        return pose.positions.map(position => {
+            if (!position) return null;
+            const local = vec3.subtract(vec3.create(), position, [root[0], 0, root[2]]);
+            return vec3.transformQuat(local, local, turn);
+        });
+    });
+}
+
+// Finds the best loop. Options:
+//   minLength, maxLength: seconds the loop may last
+//   velocityWeight: seconds, how much a difference in joint velocity (m/s) counts against one in
+//                   position (m); 0.1 weighs 1 m/s like 10 cm
+// Returns { start, end, distance }, distance the mean joint mismatch in meters at the seam, or null
+// when the clip is shorter than minLength. Long clips are searched on a coarse grid first.
+export function findLoop(skeleton, motion, { minLength = 0.5, maxLength = Infinity, velocityWeight = 0.1 } = {}) {
+    const features = poseFeatures(skeleton, motion);
+    const count = features.length;
+    const minFrames = Math.max(2, Math.round(minLength / motion.frameTime));
+    const maxFrames = Math.min(count - 1, Math.round(maxLength / motion.frameTime));
+    if (count <= minFrames || maxFrames < minFrames) return null;
+    // Velocities by differences to the next frame (the previous one for the last frame)
+    const velocities = features.map((feature, frame) => {
+        const next = frame + 1 < count ? features[frame + 1] : feature;
+        const previous = frame + 1 < count ? feature : features[frame - 1];
+        return feature.map((position, joint) => position &&
+            vec3.scale(vec3.create(), vec3.subtract(vec3.create(), next[joint], previous[joint]), 1 / motion.frameTime));
+    });
+    const distance = (a, b) => {
+        let sum = 0;
+        let joints = 0;
+        features[a].forEach((position, joint) => {
+            if (!position) return;
+            sum += vec3.distance(position, features[b][joint]) + velocityWeight * vec3.distance(velocities[a][joint], velocities[b][joint]);
+            joints++;
+        });
+        return joints ? sum / joints : 0;
+    };
+
+    let best = null;
+    const search = (starts, ends, step) => {
+        for (let start = starts[0]; start <= starts[1]; start += step) {
+            for (let end = Math.max(ends[0], start + minFrames); end <= Math.min(ends[1], start + maxFrames); end += step) {
+                const d = distance(start, end);
+                if (!best || d < best.distance) best = { start, end, distance: d };
+            }
+        }
+    };
+    const step = Math.max(1, Math.ceil(count / 400));
+    search([0, count - 1], [0, count - 1], step);
+    if (step > 1 && best) {
+        const { start, end } = best;
+        search([Math.max(0, start - step), Math.min(count - 1, start + step)], [Math.max(0, end - step), Math.min(count - 1, end + step)], 1);
+    }
+    return best;
+}
+
+// The loop start .. end - 1 as its own clip, with the seam blended: its last blendFrames frames
+// ease into the frames that come before start (moved and turned to carry on from where the loop
+// ends), so the last frame leads into the first one as the clip itself leads into start. A loop with
+// fewer frames before it than after it (one starting at frame 0) eases its first frames out of the
+// frames after end instead (moved and turned so end is where the loop starts), so the first frame
+// follows on from the last one as end follows end - 1.
+export function makeLoop(skeleton, motion, { start, end }, { blendFrames = 10 } = {}) {
+    const fk = new ForwardKinematics(skeleton);
+    const frames = motion.frames.slice(start, end).map(values => new Map(values));
+    const most = Math.min(blendFrames, frames.length - 1);
+    const before = Math.min(most, start);
+    const after = Math.min(most, motion.frameCount - end);
+    const ease = s => s * s * (3 - 2 * s);
+    if (before > 0 && before >= after) {
+        const lead = alignMotion(skeleton, motion, start, fk.rootPosition(motion, end),
+            yawOf(fk.boneRotation(0, motion.values(end, 'root'))));
+        const first = frames.length - before;
+        for (let k = 0; k < before; k++) {
+            const weight = ease((k + 1) / (before + 1));
+            frames[first + k] = blendPoses(fk, frames[first + k], lead.frames[start - before + k], weight, frames[first + k - 1]);
+        }
+    } else if (after > 0) {
+        const follow = alignMotion(skeleton, motion, end, fk.rootPosition(motion, start),
+            yawOf(fk.boneRotation(0, motion.values(start, 'root'))));
+        for (let k = 0; k < after; k++) {
+            const weight = 1 - ease((k + 1) / (after + 1));
+            frames[k] = blendPoses(fk, frames[k], follow.frames[end + k], weight, frames[k - 1]);
+        }
+    }
+    return new Motion(frames, { frameTime: motion.frameTime });
+}
@@ -0,0 +1,50 @@
+// Motion shared by both players: a list of frames, each a Map from bone name to its AMC values
+// (in the bone's dof order, the root's in its order channels). Frames are indexed from 0.
+
+// CMU clips are captured at 120 frames per second
+export const DEFAULT_FRAME_TIME = 1 / 120;
+
+export class Motion {
+    constructor(frames = [], { frameTime = DEFAULT_FRAME_TIME } = {}) {
+        this.frames = frames;
+        this.frameTime = frameTime;
+    }
+
+    // Builds a motion from either parser's output: parseAMC()/parseBVH() objects with scenes,
+    // or the AMCParser class's Map of frame number to Map of bone values
+    static fromAMC(amc) {
+        if (amc instanceof Map) {
+            const numbers = [...amc.keys()].sort((a, b) => a - b);
+            return new Motion(numbers.map(number => new Map(amc.get(number))));
+        }
+        const frames = amc.scenes.map(scene => {
+            const frame = new Map();
+            Object.keys(scene).forEach(key => {
+                if (key !== 'sceneNum') frame.set(key, scene[key]);
+            });
+            return frame;
+        });
+        return new Motion(frames, { frameTime: amc.frameTime || DEFAULT_FRAME_TIME });
+    }
+
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    // Plain scene objects like parseAMC() builds ({ sceneNum, root: [...], <bone>: [...] }),
+    // numbered from 1
+    toScenes() {
+        return this.frames.map((frame, index) => {
+            const scene = { sceneNum: String(index + 1) };
+            frame.forEach((values, bone) => {
+                scene[bone] = values.slice();
+            });
+            return scene;
+        });
+    }
+
+    // The values of one bone in one frame, empty when the frame has no line for it
+    values(frame, boneName) {
+        return this.frames[frame].get(boneName) || [];
+    }
+}
@@ -0,0 +1,97 @@
+// Wall-clock playback of a Motion, shared by both players.
+// The clip time advances by the real time between requestAnimationFrame timestamps times the speed,
+// and the frame shown is the one that time falls in, so a slow browser skips frames instead of
+// slowing the clip down and a 60 Hz clip plays as fast as a 120 Hz one.
+
+export const MIN_SPEED = 0.1;
+export const MAX_SPEED = 4;
+
+export class Playback {
+    constructor(motion, { loop = true } = {}) {
+        this.motion = motion;
+        this.loop = loop;
+        this.time = 0; // seconds into the clip
+        this.speed = 1;
+        this.reverse = false;
+        this.playing = false;
+        this.lastTimestamp = null;
+        this.region = null; // { start, end } frames (inclusive) to play between instead of the whole clip
+    }
+
+    // Length of the clip in seconds, one frame time per frame
+    get duration() {
+        return this.motion.frameCount * this.motion.frameTime;
+    }
+
+    // Frame index (from 0) at the current time
+    get frame() {
+        const frame = Math.floor(this.time / this.motion.frameTime + 1e-9);
+        return Math.max(0, Math.min(this.motion.frameCount - 1, frame));
+    }
+
+    // Fractional frame position at the current time, for sub-frame poses
+    get position() {
+        return Math.max(0, Math.min(this.motion.frameCount - 1, this.time / this.motion.frameTime));
+    }
+
+    // Capture rate of the clip in frames per second
+    get frameRate() {
+        return 1 / this.motion.frameTime;
+    }
+
+    set frameRate(rate) {
+        const frame = this.position;
+        this.motion.frameTime = 1 / rate;
+        this.seek(frame);
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, speed));
+    }
+
+    // frame may be fractional
+    seek(frame) {
+        this.time = Math.max(0, Math.min(this.motion.frameCount - 1, frame)) * this.motion.frameTime;
+    }
+
+    play() {
+        this.playing = true;
+        this.lastTimestamp = null;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    // Start and end time (seconds) of the part that plays: the region, or the whole clip
+    get bounds() {
+        if (!this.region) return [0, this.duration];
+        const last = this.motion.frameCount - 1;
+        const start = Math.max(0, Math.min(last, this.region.start));
+        const end = Math.max(start, Math.min(last, this.region.end));
+        return [start * this.motion.frameTime, (end + 1) * this.motion.frameTime];
+    }
+
+    // Advances the clock to timestamp (milliseconds, as given to requestAnimationFrame callbacks)
+    // and returns the frame to show. Without loop the playback stops on the last frame it reaches.
+    // With a region it plays (and loops) between the region's frames only.
+    tick(timestamp) {
+        if (!this.playing) return this.frame;
+        if (this.lastTimestamp !== null) {
+            const elapsed = (timestamp - this.lastTimestamp) / 1000;
+            this.time += elapsed * this.speed * (this.reverse ? -1 : 1);
+        }
+        this.lastTimestamp = timestamp;
+        const [start, end] = this.bounds;
+        const duration = end - start;
+        if (this.time >= end || this.time < start) {
+            if (this.loop && duration > 0) {
+                this.time = start + (((this.time - start) % duration) + duration) % duration;
+            } else {
+                this.time = this.time < start ? start : end - this.motion.frameTime;
+                this.playing = false;
+            }
+        }
+        return this.frame;
+    }
+}
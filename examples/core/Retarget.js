@@ -0,0 +1,106 @@
+// Retargeting a Motion from one skeleton onto another, e.g. a CMU clip onto a game rig with other
+// bone lengths and axis frames. Each mapped target bone takes the world rotation of its source bone,
+// so the limbs point the same way whatever the lengths; the rotation is then turned back into the
+// target bone's own dofs through its axis frame. Rotations the target cannot express (an axis it has
+// no dof for) are dropped. The root translation is scaled by the ratio of the leg lengths.
+
+import { vec3, quat } from './math.js';
+import { ForwardKinematics } from './Kinematics.js';
+import { Motion } from './Motion.js';
+
+// Height of the root above the lowest bone end in the rest pose, in meters
+export function legLength(skeleton) {
+    const positions = new ForwardKinematics(skeleton).restPose().positions;
+    let lowest = positions[0][1];
+    positions.forEach(position => {
+        if (position) lowest = Math.min(lowest, position[1]);
+    });
+    return positions[0][1] - lowest;
+}
+
+// Target bone name -> source bone name. mapping is a Map or a plain object; without one every target
+// bone takes the source bone of the same name. Target bones left out (or with no such source bone
+// when the mapping is implicit) keep their rest rotation relative to their parent.
+export function boneMapping(source, target, mapping) {
+    const pairs = new Map();
+    pairs.set(0, 0);
+    if (!mapping) {
+        target.bones.forEach((bone, index) => {
+            const sourceIndex = source.indexOf(bone.name);
+            if (index > 0 && sourceIndex > 0) pairs.set(index, sourceIndex);
+        });
+        return pairs;
+    }
+    const entries = mapping instanceof Map ? [...mapping] : Object.entries(mapping);
+    entries.forEach(([targetName, sourceName]) => {
+        const index = target.indexOf(targetName);
+        const sourceIndex = source.indexOf(sourceName);
+        if (index === -1) throw new Error(`The target skeleton has no bone called "${targetName}".`);
+        if (sourceIndex === -1) throw new Error(`The source skeleton has no bone called "${sourceName}".`);
+        if ((index === 0) !== (sourceIndex === 0)) throw new Error('The root can only be mapped onto the root.');
+        pairs.set(index, sourceIndex);
+    });
+    return pairs;
+}
+
+// Retargets motion (on the source Skeleton) onto the target Skeleton and returns a Motion for the
+// target, ready for writeAMC(target, motion). Options:
+//   mapping: target bone name -> source bone name, see boneMapping()
+//   alignRest: turn each target bone's rest direction onto its source bone's first, so a rig in a
+//              different rest pose (A-pose against T-pose) still matches; on by default
+//   rootScale: factor for the root translation, by default legLength(target) / legLength(source)
+export function retarget(source, motion, target, { mapping, alignRest = true, rootScale } = {}) {
+    const pairs = boneMapping(source, target, mapping);
+    const sourceFK = new ForwardKinematics(source);
+    const targetFK = new ForwardKinematics(target);
+    if (rootScale === undefined) {
+        const sourceLeg = legLength(source);
+        rootScale = sourceLeg > 0 ? legLength(target) / sourceLeg : 1;
+    }
+
+    // Rest alignment of every mapped bone, applied on the right of the source world rotation
+    const alignments = target.bones.map((bone, index) => {
+        const sourceIndex = pairs.get(index);
+        const alignment = quat.create();
+        if (!alignRest || index === 0 || sourceIndex === undefined) return alignment;
+        const from = bone.direction;
+        const to = source.bones[sourceIndex].direction;
+        if (vec3.length(from) < 1e-9 || vec3.length(to) < 1e-9) return alignment;
+        return quat.rotationTo(alignment, vec3.normalize(vec3.create(), from), vec3.normalize(vec3.create(), to));
+    });
+
+    const sourceRoot = vec3.scale(vec3.create(), source.root.position, sourceFK.lengthScale);
+    const frames = [];
+    let previous = null;
+    for (let frame = 0; frame < motion.frameCount; frame++) {
+        const pose = sourceFK.evaluate(motion, frame);
+        const world = new Array(target.bones.length);
+        const values = new Map();
+        // parentWorld is the rotation the parent reached with its own dofs, which can fall short of the
+        // one it was asked for (no dof about some axis, or none at all like a hip joint), so the
+        // children make up for what it could not do instead of inheriting the error
+        const visit = (index, parentWorld) => {
+            const sourceIndex = pairs.get(index);
+            const wanted = sourceIndex === undefined
+                ? parentWorld.slice()
+                : quat.multiply(quat.create(), pose.rotations[sourceIndex], alignments[index]);
+            const local = quat.multiply(quat.create(), quat.invert(quat.create(), parentWorld), wanted);
+            const boneValues = targetFK.rotationValues(index, local, previous && previous.get(target.bones[index].name));
+            values.set(target.bones[index].name, boneValues);
+            world[index] = quat.multiply(quat.create(), parentWorld, targetFK.boneRotation(index, boneValues));
+            target.bones[index].children.forEach(child => visit(child, world[index]));
+        };
+        visit(0, quat.create());
+
+        // Root translation: the source's, measured from its rest position and scaled
+        const translation = vec3.subtract(vec3.create(), pose.positions[0], sourceRoot);
+        vec3.scale(translation, translation, rootScale / target.metersPerUnit);
+        const rootValues = values.get('root');
+        target.root.order.forEach((channel, k) => {
+            if (channel[0] === 'T') rootValues[k] = translation['XYZ'.indexOf(channel[1])];
+        });
+        frames.push(values);
+        previous = values;
+    }
+    return new Motion(frames, { frameTime: motion.frameTime });
+}
@@ -0,0 +1,64 @@
+// Root motion: splits a clip into a track of the root's travel over the floor (x, z and the yaw about
+// the vertical y axis, as in CMU clips) and an in-place clip that keeps everything else, the height
+// and the tilt of the hips included. A runtime moves and turns the character by the track and plays
+// the in-place clip on top of it.
+
+import { vec3, quat } from './math.js';
+import { ForwardKinematics, splitRootChannels } from './Kinematics.js';
+import { Motion } from './Motion.js';
+
+// Turn of a rotation about the y axis (its twist about y), in radians
+export function yawOf(rotation) {
+    return 2 * Math.atan2(rotation[1], rotation[3]);
+}
+
+export function yawRotation(yaw) {
+    return quat.rotateY(quat.create(), quat.create(), yaw);
+}
+
+// Returns { track, inPlace }:
+//   track: { frameTime, frames: [{ time, x, z, yaw }] }, in meters and radians and relative to the first
+//          frame, so the clip starts at the origin facing yaw 0 and x, z are in that starting frame
+//   inPlace: the Motion with the root's x and z translation and its yaw taken out
+// Playing inPlace moved by (x, z) and turned by yaw puts every joint back where the clip had it,
+// up to the start position and heading.
+export function extractRootMotion(skeleton, motion) {
+    const fk = new ForwardKinematics(skeleton);
+    const root = skeleton.root;
+    const frames = [];
+    const inPlaceFrames = [];
+    let start = null;
+    let previousYaw = 0;
+    let previousValues = null;
+    for (let frame = 0; frame < motion.frameCount; frame++) {
+        const position = fk.rootPosition(motion, frame);
+        const rotation = fk.boneRotation(0, motion.values(frame, 'root'));
+        let yaw = yawOf(rotation);
+        // Unwrap, so a clip turning on the spot gives a continuous curve
+        yaw += 2 * Math.PI * Math.round((previousYaw - yaw) / (2 * Math.PI));
+        previousYaw = yaw;
+        if (!start) start = { position, yaw };
+
+        const travel = vec3.subtract(vec3.create(), position, start.position);
+        travel[1] = 0;
+        vec3.transformQuat(travel, travel, yawRotation(-start.yaw));
+        frames.push({ time: frame * motion.frameTime, x: travel[0], z: travel[2], yaw: yaw - start.yaw });
+
+        // In place: the root over the origin, facing where yaw 0 faces
+        const values = new Map(motion.frames[frame]);
+        const rootValues = fk.rotationValues(0, quat.multiply(quat.create(), yawRotation(-yaw), rotation), previousValues);
+        const translation = splitRootChannels(root, motion.values(frame, 'root')).translation;
+        root.order.forEach((channel, k) => {
+            if (channel === 'TX') rootValues[k] = -root.position[0];
+            else if (channel === 'TY') rootValues[k] = translation[1];
+            else if (channel === 'TZ') rootValues[k] = -root.position[2];
+        });
+        values.set('root', rootValues);
+        inPlaceFrames.push(values);
+        previousValues = rootValues;
+    }
+    return {
+        track: { frameTime: motion.frameTime, frames },
+        inPlace: new Motion(inPlaceFrames, { frameTime: motion.frameTime })
+    };
+}
@@ -0,0 +1,122 @@
+// Skeleton shared by the WebGL (jsma) and 2D (animation.js) players.
+// Bones live in a flat array with the root at index 0; every bone, the root included, has
+//   name, index, parent, children (indices), direction, length, axis (angles), axisOrder, dof, limits
+// and the root additionally has order (its AMC channels, e.g. TX TY TZ RX RY RZ) and position.
+// units are normalized by core/Units.js: metersPerUnit and angleFactor turn the file's lengths and
+// angles into meters and radians.
+
+import { normalizeUnits, INCH } from './Units.js';
+
+export class Skeleton {
+    // baseUnit is the length in meters of one file unit before the length multiplier (inches by default)
+    constructor({ name = '', units = {}, bones = [], baseUnit = INCH } = {}) {
+        this.name = name;
+        const normalized = normalizeUnits(units, { baseUnit });
+        this.units = { mass: normalized.mass, length: normalized.length, angle: normalized.angle };
+        this.metersPerUnit = normalized.meters;
+        this.radiansPerUnit = normalized.radians;
+        this.unitProblems = normalized.problems;
+        this.bones = bones;
+        this.boneIndex = new Map(bones.map((bone, index) => [bone.name, index]));
+    }
+
+    // Builds a skeleton from either parser's output: parseASF()/parseBVH() objects with boneData,
+    // or the ASFParser class's { bones, hierarchy } object. options: { baseUnit }
+    static fromASF(asf, options = {}) {
+        return Array.isArray(asf.boneData) ? fromBoneData(asf, options) : fromBoneMap(asf, options);
+    }
+
+    get root() {
+        return this.bones[0];
+    }
+
+    indexOf(name) {
+        return this.boneIndex.has(name) ? this.boneIndex.get(name) : -1;
+    }
+
+    bone(name) {
+        return this.bones[this.indexOf(name)];
+    }
+
+    // Factor that turns the file's angles into radians
+    get angleFactor() {
+        return this.radiansPerUnit;
+    }
+}
+
+function createRoot(root = {}) {
+    const axisOrder = Array.isArray(root.axis) ? root.axis[0] : root.axis;
+    return {
+        name: 'root',
+        index: 0,
+        parent: -1,
+        children: [],
+        direction: [0, 0, 0],
+        length: 0,
+        axis: (root.orientation || [0, 0, 0]).map(Number),
+        axisOrder: axisOrder || 'XYZ',
+        order: (root.order || ['TX', 'TY', 'TZ', 'RX', 'RY', 'RZ']).map(channel => String(channel).toUpperCase()),
+        position: (root.position || [0, 0, 0]).map(Number),
+        dof: [],
+        limits: []
+    };
+}
+
+// parseASF() keeps the root in boneData[0] and children as indices
+function fromBoneData(asf, { baseUnit } = {}) {
+    const bones = asf.boneData.map((data, index) => {
+        if (index === 0) return createRoot(data);
+        return {
+            name: data.name,
+            index,
+            parent: -1,
+            children: [],
+            direction: data.direction.slice(),
+            length: data.length,
+            axis: data.axis.slice(),
+            axisOrder: typeof data.rotationOrder === 'string' ? data.rotationOrder : 'XYZ',
+            dof: (data.dof || []).slice(),
+            limits: (data.limits || []).map(limit => limit.slice())
+        };
+    });
+    asf.boneData.forEach((data, index) => {
+        (data.children || []).forEach(child => {
+            bones[index].children.push(child);
+            bones[child].parent = index;
+        });
+    });
+    return new Skeleton({ name: asf.name, units: asf.units, bones, baseUnit });
+}
+
+// ASFParser keeps bones by name and the hierarchy as name lists
+function fromBoneMap(asf, { baseUnit } = {}) {
+    const bones = [createRoot(asf.root)];
+    Object.values(asf.bones).forEach(data => {
+        const axis = data.axis || { x: 0, y: 0, z: 0, order: 'XYZ' };
+        const direction = data.direction || { x: 0, y: 0, z: 0 };
+        bones.push({
+            name: data.name,
+            index: bones.length,
+            parent: -1,
+            children: [],
+            direction: [direction.x, direction.y, direction.z],
+            length: data.length || 0,
+            axis: [axis.x, axis.y, axis.z],
+            axisOrder: axis.order || 'XYZ',
+            dof: (data.dof || []).slice(),
+            limits: (data.limits || []).map(({ min, max }) => [min, max])
+        });
+    });
+    const skeleton = new Skeleton({ name: asf.name, units: asf.units, bones, baseUnit });
+    Object.entries(asf.hierarchy).forEach(([parentName, childNames]) => {
+        const parent = skeleton.indexOf(parentName);
+        if (parent === -1) return;
+        childNames.forEach(childName => {
+            const child = skeleton.indexOf(childName);
+            if (child === -1) return;
+            bones[parent].children.push(child);
+            bones[child].parent = parent;
+        });
+    });
+    return skeleton;
+}
@@ -0,0 +1,49 @@
+// Acclaim :units. The file's lengths (bone lengths, root position and translation, tx/ty/tz/l dofs) are
+// its base unit times the length multiplier, so value / length is in base units. The base unit is not
+// in the file; VICON and CMU skeletons use inches, which is the default. Angles are "deg" or "rad".
+
+export const INCH = 0.0254;
+
+const ANGLE_UNITS = {
+    deg: 'deg', degree: 'deg', degrees: 'deg',
+    rad: 'rad', radian: 'rad', radians: 'rad'
+};
+
+// Factor that turns the file's angles into radians, null when the unit is not one we know
+export function angleToRadians(angle) {
+    const unit = ANGLE_UNITS[String(angle).toLowerCase()];
+    if (!unit) return null;
+    return unit === 'rad' ? 1 : Math.PI / 180;
+}
+
+// Normalizes a :units block, with the values as numbers or the strings a parser read.
+// Returns { mass, length, angle, radians, meters, problems }: radians and meters turn the file's
+// angles and lengths into radians and meters. Missing or unreadable units fall back to
+// mass 1, length 1 and degrees and are listed in problems.
+export function normalizeUnits(units = {}, { baseUnit = INCH } = {}) {
+    const problems = [];
+    const number = (key, value) => {
+        if (value === undefined) return 1;
+        const parsed = parseFloat(value);
+        if (isNaN(parsed) || parsed <= 0) {
+            problems.push(`Unit ${key} "${value}" is not a positive number, using 1.`);
+            return 1;
+        }
+        return parsed;
+    };
+    const mass = number('mass', units.mass);
+    const length = number('length', units.length);
+    let angle = units.angle === undefined ? 'deg' : ANGLE_UNITS[String(units.angle).toLowerCase()];
+    if (!angle) {
+        problems.push(`Unknown angle unit "${units.angle}", using degrees.`);
+        angle = 'deg';
+    }
+    return {
+        mass,
+        length,
+        angle,
+        radians: angleToRadians(angle),
+        meters: baseUnit / length,
+        problems
+    };
+}
@@ -0,0 +1,16 @@
+// Skeleton/motion core shared by the jsma WebGL player and the animation.js 2D viewer
+export { Skeleton } from './Skeleton.js';
+export { normalizeUnits, angleToRadians, INCH } from './Units.js';
+export { Motion, DEFAULT_FRAME_TIME } from './Motion.js';
+export { ForwardKinematics, splitRootChannels } from './Kinematics.js';
+export { vec3, quat, euler2quat, quat2euler, quat2dofEulers } from './math.js';
+export { Playback, MIN_SPEED, MAX_SPEED } from './Playback.js';
+export { clampValues, frameViolations, limitReport, clampMotion } from './Limits.js';
+export { retarget, boneMapping, legLength } from './Retarget.js';
+export { ikState, statePose, writeValues, solveIK, solveTwoBone, solveCCD, constrainBone, chainBones } from './IK.js';
+export { detectContacts, footsteps, cleanupFootSkate, DEFAULT_FEET } from './Contacts.js';
+export { extractRootMotion, yawOf, yawRotation } from './RootMotion.js';
+export { gameClip } from './GameClip.js';
+export { blendPoses, alignMotion, crossfade } from './Blend.js';
+export { poseFeatures, findLoop, makeLoop } from './Loop.js';
+export { trimMotion, spliceMotions, cutMotion } from './Edit.js';
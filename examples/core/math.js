@@ -0,0 +1,278 @@
+// Small vector and quaternion helpers for the mocap core.
+// The functions follow gl-matrix's conventions (out parameter first, quaternions stored x,y,z,w)
+// so code ported from the jsma player reads the same, but work on plain arrays in double precision.
+
+export const vec3 = {
+    create() {
+        return [0, 0, 0];
+    },
+
+    fromValues(x, y, z) {
+        return [x, y, z];
+    },
+
+    copy(out, a) {
+        out[0] = a[0];
+        out[1] = a[1];
+        out[2] = a[2];
+        return out;
+    },
+
+    add(out, a, b) {
+        out[0] = a[0] + b[0];
+        out[1] = a[1] + b[1];
+        out[2] = a[2] + b[2];
+        return out;
+    },
+
+    subtract(out, a, b) {
+        out[0] = a[0] - b[0];
+        out[1] = a[1] - b[1];
+        out[2] = a[2] - b[2];
+        return out;
+    },
+
+    scale(out, a, s) {
+        out[0] = a[0] * s;
+        out[1] = a[1] * s;
+        out[2] = a[2] * s;
+        return out;
+    },
+
+    length(a) {
+        return Math.hypot(a[0], a[1], a[2]);
+    },
+
+    distance(a, b) {
+        return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+    },
+
+    dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    },
+
+    cross(out, a, b) {
+        const [ax, ay, az] = a;
+        const [bx, by, bz] = b;
+        out[0] = ay * bz - az * by;
+        out[1] = az * bx - ax * bz;
+        out[2] = ax * by - ay * bx;
+        return out;
+    },
+
+    normalize(out, a) {
+        const length = Math.hypot(a[0], a[1], a[2]);
+        const inv = length ? 1 / length : 0;
+        out[0] = a[0] * inv;
+        out[1] = a[1] * inv;
+        out[2] = a[2] * inv;
+        return out;
+    },
+
+    lerp(out, a, b, t) {
+        out[0] = a[0] + t * (b[0] - a[0]);
+        out[1] = a[1] + t * (b[1] - a[1]);
+        out[2] = a[2] + t * (b[2] - a[2]);
+        return out;
+    },
+
+    // Rotates a by the unit quaternion q (q * a * q^-1)
+    transformQuat(out, a, q) {
+        const [qx, qy, qz, qw] = q;
+        const [x, y, z] = a;
+        // t = 2 * cross(q.xyz, a)
+        const tx = 2 * (qy * z - qz * y);
+        const ty = 2 * (qz * x - qx * z);
+        const tz = 2 * (qx * y - qy * x);
+        out[0] = x + qw * tx + qy * tz - qz * ty;
+        out[1] = y + qw * ty + qz * tx - qx * tz;
+        out[2] = z + qw * tz + qx * ty - qy * tx;
+        return out;
+    }
+};
+
+export const quat = {
+    create() {
+        return [0, 0, 0, 1];
+    },
+
+    copy(out, a) {
+        out[0] = a[0];
+        out[1] = a[1];
+        out[2] = a[2];
+        out[3] = a[3];
+        return out;
+    },
+
+    multiply(out, a, b) {
+        const [ax, ay, az, aw] = a;
+        const [bx, by, bz, bw] = b;
+        out[0] = ax * bw + aw * bx + ay * bz - az * by;
+        out[1] = ay * bw + aw * by + az * bx - ax * bz;
+        out[2] = az * bw + aw * bz + ax * by - ay * bx;
+        out[3] = aw * bw - ax * bx - ay * by - az * bz;
+        return out;
+    },
+
+    invert(out, a) {
+        const dot = a[0] * a[0] + a[1] * a[1] + a[2] * a[2] + a[3] * a[3];
+        const inv = dot ? 1 / dot : 0;
+        out[0] = -a[0] * inv;
+        out[1] = -a[1] * inv;
+        out[2] = -a[2] * inv;
+        out[3] = a[3] * inv;
+        return out;
+    },
+
+    dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+    },
+
+    normalize(out, a) {
+        const length = Math.hypot(a[0], a[1], a[2], a[3]);
+        const inv = length ? 1 / length : 0;
+        out[0] = a[0] * inv;
+        out[1] = a[1] * inv;
+        out[2] = a[2] * inv;
+        out[3] = a[3] * inv;
+        return out;
+    },
+
+    // Rotation by rad about the unit vector axis
+    setAxisAngle(out, axis, rad) {
+        const s = Math.sin(rad / 2);
+        out[0] = axis[0] * s;
+        out[1] = axis[1] * s;
+        out[2] = axis[2] * s;
+        out[3] = Math.cos(rad / 2);
+        return out;
+    },
+
+    // Shortest rotation taking the unit vector a onto the unit vector b
+    rotationTo(out, a, b) {
+        const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+        if (dot < -0.999999) {
+            // Opposite vectors, turn half way around any axis perpendicular to a
+            let axis = [0, -a[2], a[1]];
+            if (Math.hypot(axis[0], axis[1], axis[2]) < 1e-6) axis = [a[2], 0, -a[0]];
+            const length = Math.hypot(axis[0], axis[1], axis[2]);
+            out[0] = axis[0] / length;
+            out[1] = axis[1] / length;
+            out[2] = axis[2] / length;
+            out[3] = 0;
+            return out;
+        }
+        out[0] = a[1] * b[2] - a[2] * b[1];
+        out[1] = a[2] * b[0] - a[0] * b[2];
+        out[2] = a[0] * b[1] - a[1] * b[0];
+        out[3] = 1 + dot;
+        return quat.normalize(out, out);
+    },
+
+    // Spherical interpolation along the shorter arc from a (t = 0) to b (t = 1)
+    slerp(out, a, b, t) {
+        let [bx, by, bz, bw] = b;
+        let cosom = quat.dot(a, b);
+        if (cosom < 0) {
+            cosom = -cosom;
+            bx = -bx;
+            by = -by;
+            bz = -bz;
+            bw = -bw;
+        }
+        let scale0 = 1 - t;
+        let scale1 = t;
+        // Nearly the same rotation, a plain lerp avoids dividing by sin(0)
+        if (1 - cosom > 1e-6) {
+            const omega = Math.acos(cosom);
+            const sinom = Math.sin(omega);
+            scale0 = Math.sin((1 - t) * omega) / sinom;
+            scale1 = Math.sin(t * omega) / sinom;
+        }
+        out[0] = scale0 * a[0] + scale1 * bx;
+        out[1] = scale0 * a[1] + scale1 * by;
+        out[2] = scale0 * a[2] + scale1 * bz;
+        out[3] = scale0 * a[3] + scale1 * bw;
+        return quat.normalize(out, out);
+    },
+
+    // out = a * R(axis, rad) for axis 0, 1, 2 = X, Y, Z
+    rotate(out, a, axis, rad) {
+        const r = [0, 0, 0, Math.cos(rad / 2)];
+        r[axis] = Math.sin(rad / 2);
+        return quat.multiply(out, a, r);
+    },
+
+    rotateX(out, a, rad) {
+        return quat.rotate(out, a, 0, rad);
+    },
+
+    rotateY(out, a, rad) {
+        return quat.rotate(out, a, 1, rad);
+    },
+
+    rotateZ(out, a, rad) {
+        return quat.rotate(out, a, 2, rad);
+    }
+};
+
+const AXES = 'XYZ';
+
+// Converts euler angles [x, y, z] (radians) into a quaternion.
+// order is the ASF axis/dof order the rotations are applied in, "XYZ" (the default) gives R = RZ*RY*RX.
+export function euler2quat(euler, order = 'XYZ') {
+    const r = quat.create();
+    // quat.rotate multiplies on the right, so start from the last rotation applied
+    for (let k = order.length - 1; k >= 0; k--) {
+        const axis = AXES.indexOf(order[k].toUpperCase());
+        if (axis !== -1) quat.rotate(r, r, axis, euler[axis]);
+    }
+    return r;
+}
+
+// Converts a quaternion into euler angles (radians) for a BVH channel order such as "ZXY".
+// The angles come back in the same order as the string and compose as R = R[0]*R[1]*R[2],
+// which is the reverse of the application order euler2quat takes.
+export function quat2euler(q, order) {
+    const M = rotationMatrix(q);
+    const i = AXES.indexOf(order[0].toUpperCase());
+    const j = AXES.indexOf(order[1].toUpperCase());
+    const k = AXES.indexOf(order[2].toUpperCase());
+    // +1 for the cyclic orders XYZ, YZX and ZXY
+    const s = (j - i + 3) % 3 === 1 ? 1 : -1;
+    const sinB = Math.max(-1, Math.min(1, s * M[i][k]));
+    const b = Math.asin(sinB);
+    if (Math.abs(sinB) < 0.9999999) {
+        return [Math.atan2(-s * M[j][k], M[k][k]), b, Math.atan2(-s * M[i][j], M[i][i])];
+    }
+    // Gimbal lock, put the whole remaining rotation on the first axis
+    return [Math.atan2(s * M[k][j], M[j][j]), b, 0];
+}
+
+// Inverse of euler2quat: the angles [x, y, z] (radians) that give q when applied in order
+// (an ASF axis/dof order such as "XYZ", or a subset like "XZ"). Axes missing from order are
+// decomposed last and dropped, which is exact only when q has no rotation about them.
+export function quat2dofEulers(q, order = 'XYZ') {
+    let full = order.toUpperCase();
+    for (const axis of AXES) {
+        if (!full.includes(axis)) full += axis;
+    }
+    // quat2euler takes the order the rotations multiply in, the reverse of the order they apply
+    const reversed = full.split('').reverse().join('');
+    const angles = quat2euler(q, reversed);
+    const euler = [0, 0, 0];
+    for (let k = 0; k < 3; k++) {
+        if (order.toUpperCase().includes(reversed[k])) euler[AXES.indexOf(reversed[k])] = angles[k];
+    }
+    return euler;
+}
+
+// Row-major 3x3 rotation matrix of a unit quaternion
+export function rotationMatrix(q) {
+    const [x, y, z, w] = q;
+    return [
+        [1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w)],
+        [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+        [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)]
+    ];
+}
@@ -1,127 +1,130 @@
 // amc_parse.js by Brandon Choi, Nina Sun, Cosi Goldstein
+// An ES module with no side effects: parseAMC and checkAMC, and the AMC and Scene objects they build.
 
 
 // Create object called AMC that holds all Scene objects and their data
-function AMC (allScenes) {
+// diagnostics collects the problems parseAMC() found, each {severity:"error"|"warning", line, message}.
+export function AMC (allScenes) {
 	this.scenes = allScenes;
 	this.sceneCount = this.scenes.length;
+	this.diagnostics = [];
 }
 
 // Create object called Scene that holds all the values specified in .amc file.
-// initialize all empty arrays and NaN values for single floats to be filled in later when data is parsed.
+// boneNames lists the bones to initialize with empty arrays, to be filled in later when data is parsed.
+// Without it the scene starts empty and parseBoneLine() adds every bone it reads.
 
-function Scene () {
+export function Scene (boneNames) {
 	this.sceneNum = NaN;
 	this.root = [];
-	this.lowerback = [];
-	this.upperback = [];
-	this.thorax = [];
-	this.lowerneck = [];
-	this.upperneck = [];
-	this.head = [];
-	this.rclavicle = [];
-	this.rhumerus = [];
-	this.rradius = [];
-	this.rwrist = [];
-	this.rhand = [];
-	this.rfingers = [];
-	this.rthumb = [];
-	this.lclavicle = [];
-	this.lhumerus = [];
-	this.lradius = [];
-	this.lwrist = [];
-	this.lhand = [];
-	this.lfingers = [];
-	this.lthumb = [];
-	this.rfemur = [];
-	this.rtibia = [];
-	this.rfoot = [];
-	this.rtoes = [];
-	this.lfemur = [];
-	this.ltibia = [];
-	this.lfoot = [];
-	this.ltoes = [];
+	if (boneNames) {
+		for (var b = 0; b < boneNames.length; b++) {
+			this[boneNames[b]] = [];
+		}
+	}
 }
 
 // Parses an entire .amc file into multiple scenes.
-// Each scene is sent to parseScene() to derive values for individual scenes.
-function parseAMC(file) {
-	var lines = file.split("\n")
-	var allSceneData = [];
-	var currentData = "";
-	var sceneCounter = 1;
+// A line holding only a number starts a new scene, every other line until the next one is sent to
+// parseBoneLine(). Header lines (#comments, :FULLY-SPECIFIED, :DEGREES) are skipped.
+// asf is the parsed skeleton (from parseASF) the motion belongs to. When it is given, every bone line
+// is checked against it; without it the bones are taken from the file as they are read and can be
+// checked later with checkAMC().
+// Problems do not stop the parse, they are collected in the returned AMC's diagnostics.
+export function parseAMC(file, asf) {
+	var lines = file.split("\n");
+	var allScenes = [];
+	var sceneLines = [];
+	var diagnostics = [];
+	var myScene = null;
 
-	// get rid of unnecessary data in beginning of amc file //
-	// ex: #!OML:ASF F:\VICON\USERDATA\INSTALL\rory3\rory3.ASF, :FULLY-SPECIFIED, :DEGREES
-	var start = 0;
-	while (true) {
-		var splitData = lines[start].split(" ");
-		// if we have reached the line with "1" signifying start of first scene
-		if (splitData.length == 1 && parseInt(splitData[0]) == 1) { break; }
-		// else keep incrementing start
-		else { start++; }
-	}
-
-	// iterate and parse scene data //
-	for (i = start; i < lines.length; i++) {
-		// if it is a new scenes
-		var splitData = lines[i].split(" ");
-		// if it is the final line, also append the last scene
-		if (i == lines.length - 1) {
-			allSceneData.push(currentData);
-			currentData = "";
+	for (var i = 0; i < lines.length; i++) {
+		var fields = lines[i].match(/\S+/g);
+		if (!fields || fields[0][0] == "#" || fields[0][0] == ":") { continue; }
+		// a new scene
+		if (fields.length == 1 && /^\d+$/.test(fields[0])) {
+			var sceneNum = parseInt(fields[0]);
+			if (myScene == null && sceneNum != 1) {
+				diagnostics.push({severity: "warning", line: i + 1, message: "The first frame is " + sceneNum + ", not 1."});
+			}
+			else if (myScene != null && sceneNum != parseInt(myScene.sceneNum) + 1) {
+				diagnostics.push({severity: "warning", line: i + 1, message: "Frame " + sceneNum + " follows frame " + myScene.sceneNum + "."});
+			}
+			myScene = new Scene(asf ? asf.boneNames : undefined);
+			myScene.sceneNum = fields[0];
+			allScenes.push(myScene);
+			sceneLines.push(i + 1);
 		}
-		// if it is a new scene number, then push all currentData
-		else if (splitData.length ==  1 && parseInt(splitData[0]) == sceneCounter+1) {
-			allSceneData.push(currentData);
-			currentData = "";
-			// next time it is a new scene, it should be the next sceneCounter
-			sceneCounter++;
-			currentData += splitData[0];
+		else if (myScene == null) {
+			diagnostics.push({severity: "warning", line: i + 1, message: "Line before the first frame ignored."});
 		}
-		// not a new scene so concatenate all the parts of the split data into currentData
 		else {
-			for (j = 0; j < splitData.length; j++) {
-				if (currentData.length == 0) { currentData = currentData + splitData[j]; }
-				else { currentData = currentData + " " + splitData[j]; }
-			}
+			parseBoneLine(myScene, fields, i + 1, asf, diagnostics);
 		}
 	}
-
-	// construct scene objects and append to allScenes array //
-	var allScenes = []
-	for (s = 0; s < allSceneData.length; s++) {
-		var scene = parseScene(allSceneData[s]);
-		allScenes.push(scene);
+	if (allScenes.length == 0) {
+		diagnostics.push({severity: "error", line: lines.length, message: "The file has no frames (a line holding just the frame number, starting with 1)."});
 	}
 
 	// returns AMC object
 	var myAMC = new AMC(allScenes);
-	console.log(myAMC);
+	myAMC.sceneLines = sceneLines;
+	myAMC.diagnostics = diagnostics;
+	if (asf) { myAMC.diagnostics = myAMC.diagnostics.concat(checkAMC(myAMC, asf)); }
 	return myAMC;
 }
 
-// Parses a single 'scene' within the .amc file.
-// Takes in a string as a parameter and creates an object that holds all the necessary values.
-function parseScene(data) {
-	// init new Scene object
-	var myScene = new Scene();
-	// loop through data that is inputted as a string and assign values accordingly
-	var data = data.split(" "); // split between spaces
-	// first line of data should always be a scene number
-	myScene.sceneNum = data[0];
-	// add values based on which bone's info it is currently parsing
-	var currentBone = "";
-	for (i = 1; i < data.length; i++) {
-		// if string is not a number, then it signifies a new bone
-		if (isNaN(parseInt(data[i])))
-			currentBone = data[i];
-		// else, add values to bone's attributes
-		else {
-			num = parseFloat(data[i]);
-	       //append new value
-				myScene[currentBone].push(num);
+// Parses a single bone line (already split into fields) of the scene myScene.
+// line is its line number in the file, for the diagnostics.
+function parseBoneLine(myScene, fields, line, asf, diagnostics) {
+	var currentBone = fields[0];
+	if (!isNaN(parseFloat(currentBone))) {
+		diagnostics.push({severity: "error", line: line, message: "Expected a bone name, found " + currentBone + "."});
+		return;
+	}
+	if (!Array.isArray(myScene[currentBone])) {
+		if (asf) {
+			diagnostics.push({severity: "error", line: line, message: "Unknown bone \"" + currentBone + "\", the ASF has no bone with that name."});
+			return;
+		}
+		myScene[currentBone] = [];
+	}
+	else if (myScene[currentBone].length > 0) {
+		diagnostics.push({severity: "warning", line: line, message: "Bone \"" + currentBone + "\" appears twice in frame " + myScene.sceneNum + ", the last line is used."});
+	}
+	var values = [];
+	for (var k = 1; k < fields.length; k++) {
+		var num = parseFloat(fields[k]);
+		if (isNaN(num)) {
+			diagnostics.push({severity: "error", line: line, message: "Value \"" + fields[k] + "\" of bone \"" + currentBone + "\" is not a number."});
+			num = 0;
+		}
+		values.push(num);
+	}
+	myScene[currentBone] = values;
+}
+
+// Checks every scene of an AMC object against the skeleton it is played on and returns the problems
+// as diagnostics: bones the ASF does not have, and bones with fewer values than dofs (the root needs
+// one value per entry of its order line). The line is the one of the scene's frame number when known.
+export function checkAMC(amc, asf) {
+	var diagnostics = [];
+	for (var s = 0; s < amc.scenes.length; s++) {
+		var scene = amc.scenes[s];
+		var line = amc.sceneLines ? amc.sceneLines[s] : null;
+		for (var bone in scene) {
+			if (bone != "sceneNum" && asf.boneNames.indexOf(bone) == -1)
+				diagnostics.push({severity: "error", line: line, message: "Frame " + scene.sceneNum + ": unknown bone \"" + bone + "\", the ASF has no bone with that name."});
+		}
+		for (var b = 0; b < asf.boneData.length; b++) {
+			var name = asf.boneNames[b];
+			var dofs = b == 0 ? (asf.root.order || []) : asf.boneData[b].dof;
+			var values = scene[name] || [];
+			if (values.length < dofs.length)
+				diagnostics.push({severity: "error", line: line, message: "Frame " + scene.sceneNum + ": bone \"" + name + "\" has " + values.length + " values but the ASF gives it " + dofs.length + " dofs (" + dofs.join(" ") + ")."});
+			else if (values.length > dofs.length)
+				diagnostics.push({severity: "warning", line: line, message: "Frame " + scene.sceneNum + ": bone \"" + name + "\" has " + values.length + " values but the ASF gives it only " + dofs.length + " dofs."});
 		}
 	}
-	return myScene;
+	return diagnostics;
 }
@@ -0,0 +1,36 @@
+// Writes motion back out as an Acclaim .amc file for the skeleton (a core Skeleton, see ../core) it belongs to.
+// motion can be a core Motion, the AMC object from parseAMC()/parseBVH() or the Map of frames from
+// animation.js's AMCParser. Frames are numbered from 1; every bone with dofs gets one line per frame,
+// in ASF bone order and with its values in its dof order (the root's in its order channels).
+// Values are written in the skeleton's units, with the :DEGREES or :RADIANS header of its angle
+// unit, so the file reads back with the same ASF (parseAMC reads angles in the ASF's unit).
+import { Motion } from '../core/index.js';
+
+export function writeAMC(skeleton, motion){
+	if(!(motion instanceof Motion))
+		motion=Motion.fromAMC(motion);
+
+	var lines=["#!OML:ASF "+(skeleton.name || "skeleton")+".asf"];
+	lines.push(":FULLY-SPECIFIED");
+	lines.push(skeleton.units.angle=="rad" ? ":RADIANS" : ":DEGREES");
+	for(var j=0; j<motion.frameCount; j++){
+		lines.push(String(j+1));
+		for(var i=0; i<skeleton.bones.length; i++){
+			var bone=skeleton.bones[i];
+			var channels=i==0 ? bone.order : bone.dof;
+			if(channels.length==0)
+				continue;
+			var values=motion.values(j,bone.name);
+			var fields=[bone.name];
+			for(var k=0; k<channels.length; k++){
+				fields.push(formatAMCNumber(values[k] || 0));
+			}
+			lines.push(fields.join(" "));
+		}
+	}
+	return lines.join("\n")+"\n";
+}
+
+function formatAMCNumber(x){
+	return parseFloat(x.toFixed(6)).toString();
+}
@@ -1,10 +1,16 @@
-function parseASF(file){
+// Parses an .asf file into asfObj. Problems found along the way are collected in asfObj.diagnostics as
+// {severity:"error"|"warning", line, message} (line counts from 1) instead of stopping the parse;
+// a file with errors should not be played.
+// An ES module with no side effects: parseASF, and the Bone objects it builds (BVHparser.js uses them too).
+export function parseASF(file){
 	var lines=file.split("\n")
 	//console.log(lines[0]);
-	var asfObj={version:0, name:null, units:{},documentation:null,root:null,boneData:[],boneNames:[]};
+	var asfObj={version:0, name:null, units:{},documentation:null,root:null,boneData:[],boneNames:[],diagnostics:[]};
+	var hasBones=false;
+	var hasHierarchy=false;
 	for (var i=0;i<lines.length;i++){
 		var fields=lines[i].match(/\S+/g);
-		if (lines[i][0]=='#')
+		if (lines[i][0]=='#' || !fields)
 			continue;
 		else if (lines[i][0]==':'){
 			if (lines[i].indexOf("version")!=-1){
@@ -14,11 +20,16 @@ function parseASF(file){
 				asfObj.name=fields[1];
 			}
 			else if (lines[i].indexOf("units")!=-1){
-				unitsObj={};
-				while(lines[i].indexOf("documentation")==-1){
+				var unitsObj={};
+				i++;
+				while(i<lines.length && lines[i][0]!=':'){
 					var fields=lines[i].match(/\S+/g);
-					if(fields[0]!=":units"){
+					if(fields && fields.length<2){
+						asfObj.diagnostics.push({severity:"warning", line:i+1, message:"Unit \""+fields[0]+"\" has no value."});
+					}
+					else if(fields){
 						unitsObj[fields[0]]=isNaN(parseFloat(fields[1])) ? fields[1] : parseFloat(fields[1]);
+						checkUnit(fields[0],unitsObj[fields[0]],i,asfObj.diagnostics);
 					}
 					i++;
 				}
@@ -26,20 +37,23 @@ function parseASF(file){
 				asfObj.units=unitsObj;
 			}
 			else if (lines[i].indexOf("documentation")!=-1){
-				asfObj.documentation=lines[i+1]+lines[i+2]
-				i=i+2;
-				//lines 8,9,10 in original?
+				asfObj.documentation="";
+				while(i+1<lines.length && lines[i+1][0]!=':'){
+					asfObj.documentation+=lines[i+1];
+					i++;
+				}
 			}
 			else if (lines[i].indexOf("root")!=-1){
-				rootObj={};
-				while(lines[i].indexOf("bonedata")==-1){
+				var rootObj={};
+				i++;
+				while(i<lines.length && lines[i][0]!=':'){
 					var fields=lines[i].match(/\S+/g);
-					if(fields[0]!=":root"){
+					if(fields){
 				 		var label=fields.shift();
 				 		if(label=="axis"){ rootObj[label]=fields[0];}
 				 		else{
 				 			var value=[];
-				 			for(j=0; j<fields.length; j++){
+				 			for(var j=0; j<fields.length; j++){
 				 				value[j]=isNaN(parseFloat(fields[j])) ? fields[j] : parseFloat(fields[j]);
 				 			}
 						rootObj[label]=value;
@@ -52,35 +66,83 @@ function parseASF(file){
 				asfObj.root=rootObj;
 			}
 			else if (lines[i].indexOf("bonedata")!=-1){
-
-				[asfObj.boneData, asfObj.boneNames,i]=parseBones(lines,i);
+				if(!asfObj.root){
+					asfObj.diagnostics.push({severity:"error", line:i+1, message:":bonedata comes before :root."});
+					asfObj.root={name:"root"};
+				}
+				[asfObj.boneData, asfObj.boneNames,i]=parseBones(lines,i+1,asfObj.diagnostics);
 				asfObj.boneData.unshift(asfObj.root);
 				asfObj.boneNames.unshift("root");
+				hasBones=true;
 			}
 			else if (lines[i].indexOf("hierarchy")!=-1){
-
-				while(lines[i].match(/\S+/g)[0]!="end"){
+				if(!hasBones){
+					asfObj.diagnostics.push({severity:"error", line:i+1, message:":hierarchy comes before :bonedata."});
+				}
+				var start=i;
+				var ended=false;
+				hasHierarchy=true;
+				i++;
+				while(i<lines.length && lines[i][0]!=':' && !ended){
 					fields=lines[i].match(/\S+/g);
-					if(fields[0]!="begin" && fields[0]!=":hierarchy"){
+					if(fields && fields[0]=="end"){
+						ended=true;
+					}
+					else if(fields && fields[0]!="begin"){
 						var parent=fields.shift();
+						var parentIndex=asfObj.boneNames.indexOf(parent);
 						var children=[];
-						for(j=0; j<fields.length; j++){
+						for(var j=0; j<fields.length; j++){
 							// save the indices of the children
-							children[j]=asfObj.boneNames.indexOf(fields[j]);
+							var child=asfObj.boneNames.indexOf(fields[j]);
+							if(child==-1)
+								asfObj.diagnostics.push({severity:"error", line:i+1, message:"Hierarchy names unknown bone \""+fields[j]+"\"."});
+							else
+								children.push(child);
 						}
-						asfObj.boneData[asfObj.boneNames.indexOf(parent)].children=children;
+						if(parentIndex==-1)
+							asfObj.diagnostics.push({severity:"error", line:i+1, message:"Hierarchy names unknown bone \""+parent+"\"."});
+						else
+							asfObj.boneData[parentIndex].children=children;
 					}
 					i++;
 				}
+				i--;
+				if(!ended){
+					asfObj.diagnostics.push({severity:"error", line:start+1, message:":hierarchy has no closing \"end\"."});
+				}
 			}
+			else{
+				asfObj.diagnostics.push({severity:"warning", line:i+1, message:"Unknown section "+fields[0]+" ignored."});
+			}
+		}
+		else{
+			asfObj.diagnostics.push({severity:"warning", line:i+1, message:"Line outside of any section ignored."});
 		}
 	}
-	console.log(asfObj);
+	if(!asfObj.root){
+		asfObj.diagnostics.push({severity:"error", line:lines.length, message:"The file has no :root section."});
+	}
+	if(!hasBones){
+		asfObj.diagnostics.push({severity:"error", line:lines.length, message:"The file has no :bonedata section."});
+	}
+	if(!hasHierarchy){
+		asfObj.diagnostics.push({severity:"error", line:lines.length, message:"The file has no :hierarchy section."});
+	}
 	return asfObj;
 
 }
 
-function Bone(){
+// The core (../core/Units.js) turns lengths into meters with the length multiplier and angles into
+// radians with the angle unit, so report values it could not use
+function checkUnit(unit,value,i,diagnostics){
+	if((unit=="mass" || unit=="length") && !(value>0))
+		diagnostics.push({severity:"error", line:i+1, message:"Unit "+unit+" must be a positive number, not \""+value+"\"."});
+	else if(unit=="angle" && ["deg","degree","degrees","rad","radian","radians"].indexOf(String(value).toLowerCase())==-1)
+		diagnostics.push({severity:"error", line:i+1, message:"Unknown angle unit \""+value+"\", use deg or rad."});
+}
+
+export function Bone(){
 	this.id=NaN;
 	this.name=NaN;
 	this.direction=[];
@@ -92,21 +154,59 @@ function Bone(){
 	this.children=[];
 }
 
-function parseBones(lines,i){
+// The [min, max] of a "(min max)" limit pair in line, or null when it has none. "inf" and "-inf"
+// are an open side, Infinity and -Infinity.
+function limitPair(line){
+	var pair=line.match(/\(\s*(\S+)\s+(\S+?)\s*\)/);
+	if(!pair)
+		return null;
+	return [limitValue(pair[1]), limitValue(pair[2])];
+}
+
+function limitValue(text){
+	var open=text.match(/^([+-]?)inf/i);
+	if(open)
+		return open[1]=="-" ? -Infinity : Infinity;
+	return parseFloat(text);
+}
+
+// Reads the bones from line i up to the next section. Returns the bones, their names and the
+// index of the last line read; problems go to diagnostics.
+function parseBones(lines,i,diagnostics){
 	var boneData=[];
 	var boneNames=[];
-	while(lines[i].indexOf("hierarchy")==-1){
+	var bone=null;
+	var begin=i;
+	while(i<lines.length && lines[i][0]!=':'){
 	var fields=lines[i].match(/\S+/g);
-		if(fields[0]=="begin")
-			var bone=new Bone();
-		else if(fields[0]=="end")
+		if(!fields || fields[0][0]=='#'){
+			i++;
+			continue;
+		}
+		if(fields[0]=="begin"){
+			if(bone)
+				diagnostics.push({severity:"error", line:begin+1, message:"Bone "+(bone.name || "")+" has no closing \"end\"."});
+			bone=new Bone();
+			begin=i;
+		}
+		else if(!bone)
+			diagnostics.push({severity:"error", line:i+1, message:"\""+fields[0]+"\" outside of a begin/end block."});
+		else if(fields[0]=="end"){
 		// 	boneData[bone.name]=bone;
-			boneData.push(bone);
+			if(typeof bone.name!="string")
+				diagnostics.push({severity:"error", line:begin+1, message:"Bone has no name."});
+			else{
+				if(boneNames.indexOf(bone.name)!=-1)
+					diagnostics.push({severity:"error", line:begin+1, message:"Bone \""+bone.name+"\" is defined twice."});
+				boneData.push(bone);
+				boneNames.push(bone.name);
+			}
+			bone=null;
+		}
 		else if(fields[0]=="id")
 			bone.id=parseFloat(fields[1]);
 		else if(fields[0]=="name"){
 			bone.name=fields[1];
-			boneNames.push(fields[1]);
 			}
 		else if(fields[0]=="direction"){
 			fields.shift();
@@ -114,9 +214,14 @@ function parseBones(lines,i){
 				fields[j]=parseFloat(fields[j]);
 			}
 			bone.direction=fields;
+			if(fields.length!=3 || fields.some(isNaN))
+				diagnostics.push({severity:"error", line:i+1, message:"Direction needs three numbers."});
 		}
-		else if(fields[0]=="length")
+		else if(fields[0]=="length"){
 			bone.length=parseFloat(fields[1]);
+			if(isNaN(bone.length))
+				diagnostics.push({severity:"error", line:i+1, message:"Length is not a number."});
+		}
 		else if(fields[0]=="axis"){
 			fields.shift();
 			bone.rotationOrder=fields.pop();
@@ -124,26 +229,33 @@ function parseBones(lines,i){
 				fields[j]=parseFloat(fields[j]);
 			}
 			bone.axis=fields;
+			if(fields.length!=3 || fields.some(isNaN))
+				diagnostics.push({severity:"error", line:i+1, message:"Axis needs three angles and an order."});
 		}
 		else if(fields[0]=="dof"){
 			fields.shift();
 			bone.dof=fields;
 		}
+		else if(fields[0]=="limits" && !limitPair(lines[i]))
+			diagnostics.push({severity:"error", line:i+1, message:"Limits need a (min max) pair."});
 		else if(fields[0]=="limits"){
-			var limits=[parseFloat(fields[1].split("(")[1])];
-		 	limits.push(parseFloat(fields[2].split(")")[0]));
-		 	bone.limits=[limits];
+		 	bone.limits=[limitPair(lines[i])];
 			for(var j=0; j<bone.dof.length-1; j++){
-				i++;
-				limits=lines[i].match(/[+-]?\d+\.\d+/g);
-				for(var k=0; k<limits.length; k++){
-					limits[k]=parseFloat(limits[k]);
+				var limits=i+1<lines.length ? limitPair(lines[i+1]) : null;
+				if(!limits){
+					diagnostics.push({severity:"error", line:i+1, message:"Bone "+bone.name+" has "+bone.dof.length+" dofs but "+bone.limits.length+" limits."});
+					break;
 				}
+				i++;
 				bone.limits.push(limits);
 			}
 		}
+		else
+			diagnostics.push({severity:"warning", line:i+1, message:"Unknown bone field \""+fields[0]+"\" ignored."});
 		i++;
 	}
+	if(bone)
+		diagnostics.push({severity:"error", line:begin+1, message:"Bone "+(bone.name || "")+" has no closing \"end\"."});
 	i--;
 	return [boneData,boneNames, i];
-}
\ No newline at end of file
+}
@@ -0,0 +1,191 @@
+// Writes the asfObj from parseASF() back out as an Acclaim .asf file, and edits it in place.
+// writeASF() only writes what the object holds, so parseASF(writeASF(asf)) gives the same object back
+// (the documentation lines come back joined, as parseASF always reads them).
+// The editing helpers keep boneData, boneNames and the children indices in step; the ones that
+// change bone names or lengths also update an AMC object (from parseAMC) when one is passed.
+
+export function writeASF(asf){
+	var lines=[];
+	if(asf.version)
+		lines.push(":version "+asf.version);
+	if(asf.name!=null)
+		lines.push(":name "+asf.name);
+	lines.push(":units");
+	for(var unit in asf.units){
+		lines.push("  "+unit+" "+asf.units[unit]);
+	}
+	if(asf.documentation!=null){
+		lines.push(":documentation");
+		lines.push(asf.documentation);
+	}
+
+	lines.push(":root");
+	for(var label in asf.root){
+		if(label=="name" || label=="children")
+			continue;
+		var value=asf.root[label];
+		lines.push("   "+label+" "+(Array.isArray(value) ? value.join(" ") : value));
+	}
+
+	lines.push(":bonedata");
+	for(var i=1; i<asf.boneData.length; i++){
+		writeBone(asf.boneData[i],lines);
+	}
+
+	lines.push(":hierarchy");
+	lines.push("  begin");
+	for(var i=0; i<asf.boneData.length; i++){
+		var children=asf.boneData[i].children || [];
+		if(children.length==0)
+			continue;
+		var names=children.map(function(child){ return asf.boneNames[child]; });
+		lines.push("    "+asf.boneNames[i]+" "+names.join(" "));
+	}
+	lines.push("  end");
+	return lines.join("\n")+"\n";
+}
+
+// Appends one begin/end block, skipping the fields parseASF left at their defaults
+function writeBone(bone,lines){
+	lines.push("  begin");
+	if(!isNaN(bone.id))
+		lines.push("     id "+bone.id);
+	lines.push("     name "+bone.name);
+	if(bone.direction.length)
+		lines.push("     direction "+bone.direction.join(" "));
+	if(!isNaN(bone.length))
+		lines.push("     length "+bone.length);
+	if(bone.axis.length)
+		lines.push("     axis "+bone.axis.join(" ")+" "+bone.rotationOrder);
+	if(bone.dof.length)
+		lines.push("    dof "+bone.dof.join(" "));
+	for(var k=0; k<bone.limits.length; k++){
+		var limit="("+formatLimit(bone.limits[k][0])+" "+formatLimit(bone.limits[k][1])+")";
+		lines.push(k==0 ? "    limits "+limit : "           "+limit);
+	}
+	lines.push("  end");
+}
+
+// Limits without exponents, which parseASF would split apart, and open sides as inf
+function formatLimit(x){
+	if(x==Infinity || x==-Infinity)
+		return x>0 ? "inf" : "-inf";
+	var text=String(x);
+	if(text.indexOf("e")==-1)
+		return text;
+	return x.toFixed(100).replace(/\.?0+$/,"");
+}
+
+export function renameBone(asf,name,newName,amc){
+	var index=boneIndex(asf,name);
+	if(index==0)
+		throw new Error("The root cannot be renamed.");
+	if(asf.boneNames.indexOf(newName)!=-1)
+		throw new Error("There already is a bone called \""+newName+"\".");
+	if(!/^\S+$/.test(newName))
+		throw new Error("Bone names cannot be empty or contain spaces.");
+	asf.boneData[index].name=newName;
+	asf.boneNames[index]=newName;
+	if(amc){
+		amc.scenes.forEach(function(scene){
+			if(name in scene){
+				scene[newName]=scene[name];
+				delete scene[name];
+			}
+		});
+	}
+}
+
+// Moves a bone (and everything below it) under newParent. ASF directions are global,
+// so the bone keeps its direction and only its start point moves.
+export function reparentBone(asf,name,newParent){
+	var index=boneIndex(asf,name);
+	var parentIndex=boneIndex(asf,newParent);
+	if(index==0)
+		throw new Error("The root cannot be reparented.");
+	for(var p=parentIndex; p!=-1; p=parentOf(asf,p)){
+		if(p==index)
+			throw new Error("\""+newParent+"\" is below \""+name+"\", reparenting would make a loop.");
+	}
+	var oldParent=parentOf(asf,index);
+	if(oldParent!=-1){
+		var siblings=asf.boneData[oldParent].children;
+		siblings.splice(siblings.indexOf(index),1);
+	}
+	if(!asf.boneData[parentIndex].children)
+		asf.boneData[parentIndex].children=[];
+	asf.boneData[parentIndex].children.push(index);
+}
+
+// Scales every length: bone lengths, the root position and the limits of translation dofs.
+// With an AMC the root translation and tx/ty/tz/l values are scaled too, so the motion still fits.
+export function scaleSkeleton(asf,factor,amc){
+	if(!(factor>0))
+		throw new Error("The scale factor must be a positive number.");
+	if(Array.isArray(asf.root.position))
+		asf.root.position=asf.root.position.map(function(x){ return x*factor; });
+	for(var i=1; i<asf.boneData.length; i++){
+		var bone=asf.boneData[i];
+		bone.length*=factor;
+		bone.dof.forEach(function(dof,k){
+			if(!isRotationDof(dof) && bone.limits[k])
+				bone.limits[k]=bone.limits[k].map(function(x){ return x*factor; });
+		});
+	}
+	if(amc){
+		amc.scenes.forEach(function(scene){
+			for(var i=0; i<asf.boneData.length; i++){
+				var channels=i==0 ? (asf.root.order || []) : asf.boneData[i].dof;
+				var values=scene[asf.boneNames[i]];
+				if(!values)
+					continue;
+				channels.forEach(function(channel,k){
+					if(!isRotationDof(channel) && k<values.length)
+						values[k]*=factor;
+				});
+			}
+		});
+	}
+}
+
+// Removes a bone without children, and its lines from the AMC when one is given
+export function deleteLeafBone(asf,name,amc){
+	var index=boneIndex(asf,name);
+	if(index==0)
+		throw new Error("The root cannot be deleted.");
+	if(asf.boneData[index].children && asf.boneData[index].children.length)
+		throw new Error("\""+name+"\" has children, only leaf bones can be deleted.");
+	var parent=parentOf(asf,index);
+	if(parent!=-1){
+		var siblings=asf.boneData[parent].children;
+		siblings.splice(siblings.indexOf(index),1);
+	}
+	asf.boneData.splice(index,1);
+	asf.boneNames.splice(index,1);
+	asf.boneData.forEach(function(bone){
+		if(bone.children)
+			bone.children=bone.children.map(function(child){ return child>index ? child-1 : child; });
+	});
+	if(amc){
+		amc.scenes.forEach(function(scene){ delete scene[name]; });
+	}
+}
+
+function boneIndex(asf,name){
+	var index=asf.boneNames.indexOf(name);
+	if(index==-1)
+		throw new Error("The skeleton has no bone called \""+name+"\".");
+	return index;
+}
+
+function parentOf(asf,index){
+	for(var i=0; i<asf.boneData.length; i++){
+		if(asf.boneData[i].children && asf.boneData[i].children.indexOf(index)!=-1)
+			return i;
+	}
+	return -1;
+}
+
+function isRotationDof(dof){
+	return dof[0].toLowerCase()=="r";
+}
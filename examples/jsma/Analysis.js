@@ -0,0 +1,58 @@
+// Curves for inspecting a capture: a bone's dof angles, the speed of the joint at its end and the
+// spectrum of its angles, as plotted by the analysis panel of animation.html.
+// spectrum() uses the FFT of libs/dsp.js, which has to be loaded (as a plain script) first.
+
+//Each rotation dof of the bone over the clip: [{name, values}], values as in the AMC (degrees for CMU)
+export function dofAngles(skeleton, motion, boneName){
+	var index=skeleton.indexOf(boneName);
+	var bone=skeleton.bones[index];
+	var channels=index==0 ? bone.order.map(function(channel){ return channel.toLowerCase(); }) : bone.dof;
+	var curves=[];
+	channels.forEach(function(channel, k){
+		if(channel[0]!="r"){ return; }
+		var values=[];
+		for(var f=0; f<motion.frameCount; f++){
+			var frame=motion.values(f, boneName);
+			values.push(k<frame.length ? frame[k] : 0);
+		}
+		curves.push({name: channel, values: values});
+	});
+	return curves;
+}
+
+//Speed (m/s) of one joint over the clip from its trajectory ([frame][joint] positions in meters, as in
+//scene.trajectories), by central differences
+export function jointSpeed(trajectories, joint, frameTime){
+	var n=trajectories.length;
+	return trajectories.map(function(positions, f){
+		var previous=trajectories[Math.max(0, f-1)][joint];
+		var next=trajectories[Math.min(n-1, f+1)][joint];
+		var frames=Math.min(n-1, f+1)-Math.max(0, f-1);
+		if(!previous || !next || frames==0){ return 0; }
+		return Math.hypot(next[0]-previous[0], next[1]-previous[1], next[2]-previous[2])/(frames*frameTime);
+	});
+}
+
+//Amplitude spectrum of the size samples of signal around frame center (size a power of 2, made smaller
+//for short clips). The mean is taken out and a Hann window applied first.
+//Returns {frequencies (Hz), amplitudes (in the signal's units), start, size}.
+export function spectrum(signal, sampleRate, center, size){
+	size=Math.min(size, Math.pow(2, Math.floor(Math.log2(Math.max(2, signal.length)))));
+	var start=Math.min(Math.max(0, Math.round(center-size/2)), signal.length-size);
+	var buffer=new Float32Array(signal.slice(start, start+size));
+	var mean=buffer.reduce(function(sum, x){ return sum+x; }, 0)/size;
+	for(var i=0; i<size; i++){
+		buffer[i]-=mean;
+	}
+	new WindowFunction(DSP.HANN).process(buffer);
+	var fft=new FFT(size, sampleRate);
+	fft.forward(buffer);
+	var frequencies=[];
+	var amplitudes=[];
+	//the Hann window halves the amplitude of a sine on average
+	for(var i=1; i<size/2; i++){
+		frequencies.push(i*fft.bandwidth);
+		amplitudes.push(2*fft.spectrum[i]);
+	}
+	return {frequencies: frequencies, amplitudes: amplitudes, start: start, size: size};
+}
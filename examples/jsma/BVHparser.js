@@ -0,0 +1,247 @@
+// Parses a Biovision .bvh file into the same asfObj/AMC pair that parseASF() and parseAMC() produce,
+// so loadScene() and the Skeleton/Motion core can play it unchanged.
+// BVH joints rotate their children, ASF bones rotate themselves, so every joint becomes a bone that
+// carries its parent's rotation channels. The channel values are kept as they are, only reordered into
+// ASF dof order. Returns {asf:asfObj, amc:AMC, diagnostics}.
+// BVH files do not say what unit their lengths are in; unit is one of BVH_UNITS, centimeters by
+// default as in most BVH files. BVHwriter.js writes inches for CMU clips, read those with "in".
+// A file that is cut short or malformed stops the parse with an error in diagnostics, shaped like the
+// ASF and AMC ones ({severity, line, message}, line counting from 1); it should not be played.
+import { Bone } from './ASFparser.js';
+import { AMC } from './AMCparser.js';
+import { INCH } from '../core/index.js';
+
+//meters per length unit
+export var BVH_UNITS={cm:0.01, mm:0.001, m:1, in:INCH};
+
+export function parseBVH(file, unit){
+	unit=unit || "cm";
+	if(!BVH_UNITS[unit])
+		throw new Error("Unknown BVH unit \""+unit+"\", use "+Object.keys(BVH_UNITS).join(", ")+".");
+	var bvh=tokenize(file);
+	//the core reads lengths as inches over the length multiplier, like an ASF :units block
+	var length=Number((INCH/BVH_UNITS[unit]).toPrecision(12));
+	var asfObj={version:"1.10", name:null, units:{mass:1.0, length:length, angle:"deg"},documentation:"Converted from BVH",root:null,boneData:[],boneNames:[]};
+	var myAMC=new AMC([]);
+	var diagnostics=[];
+	try{
+		readBVH(bvh,asfObj,myAMC,diagnostics);
+	}
+	catch(error){
+		if(error.line===undefined)
+			throw error;
+		diagnostics.push({severity:"error", line:error.line, message:error.message});
+	}
+	asfObj.diagnostics=diagnostics;
+	myAMC.diagnostics=diagnostics;
+	return {asf:asfObj, amc:myAMC, diagnostics:diagnostics};
+}
+
+// The tokens of the file and the line (from 1) each one is on
+function tokenize(file){
+	var bvh={tokens:[], lines:[]};
+	var lines=file.split("\n");
+	for(var i=0; i<lines.length; i++){
+		var fields=lines[i].match(/\S+/g) || [];
+		for(var k=0; k<fields.length; k++){
+			bvh.tokens.push(fields[k]);
+			bvh.lines.push(i+1);
+		}
+	}
+	return bvh;
+}
+
+// An error that stops the parse, reported at the line of token t (past the end, the last one's)
+function bvhError(bvh,t,message){
+	var error=new Error(message);
+	error.line=bvh.lines[Math.min(t,bvh.lines.length-1)] || 1;
+	return error;
+}
+
+// The index of the first token from t on that is word
+function find(bvh,t,word,message){
+	while(t<bvh.tokens.length && bvh.tokens[t]!=word)
+		t++;
+	if(t>=bvh.tokens.length)
+		throw bvhError(bvh,t,message);
+	return t;
+}
+
+function number(bvh,t,what){
+	if(t>=bvh.tokens.length)
+		throw bvhError(bvh,t,"The file ends in "+what+".");
+	var value=parseFloat(bvh.tokens[t]);
+	if(isNaN(value))
+		throw bvhError(bvh,t,"Expected a number for "+what+", found \""+bvh.tokens[t]+"\".");
+	return value;
+}
+
+// Fills asfObj and myAMC from the tokens; problems that do not stop the parse go to diagnostics
+function readBVH(bvh,asfObj,myAMC,diagnostics){
+	var tokens=bvh.tokens;
+	var joints=[];
+
+	var t=find(bvh,0,"ROOT","The file has no ROOT joint.");
+	t=parseJoint(bvh,t,null,joints);
+	t=find(bvh,t,"MOTION","The file has no MOTION section.");
+	if(tokens[t+1]!="Frames:")
+		throw bvhError(bvh,t+1,"Expected \"Frames:\" after MOTION.");
+	var frameCount=number(bvh,t+2,"the frame count");
+	if(!Number.isInteger(frameCount) || frameCount<0)
+		throw bvhError(bvh,t+2,"The frame count must be a whole number.");
+	if(tokens[t+3]!="Frame" || tokens[t+4]!="Time:")
+		throw bvhError(bvh,t+3,"Expected \"Frame Time:\" after the frame count.");
+	var frameTime=number(bvh,t+5,"the frame time");
+	if(!(frameTime>0))
+		throw bvhError(bvh,t+5,"The frame time must be a positive number.");
+	t=t+6;
+
+	//the root keeps its BVH offset as position and its own channels as order
+	var rootJoint=joints[0];
+	var rootObj={};
+	rootObj.order=asfChannelOrder(rootJoint.channels).map(function(j){ return channelDof(rootJoint.channels[j]).toUpperCase(); });
+	rootObj.axis="XYZ";
+	rootObj.position=rootJoint.offset;
+	rootObj.orientation=[0,0,0];
+	rootObj.channels=rootJoint.channels;
+	rootObj.name="root";
+	rootObj.children=[];
+	asfObj.name=rootJoint.name;
+	asfObj.root=rootObj;
+	asfObj.boneData.push(rootObj);
+	asfObj.boneNames.push("root");
+
+	for(var i=1; i<joints.length; i++){
+		var joint=joints[i];
+		var parent=joints[joint.parent];
+		var bone=new Bone();
+		bone.id=i;
+		bone.name=joint.name;
+		bone.length=Math.sqrt(joint.offset[0]*joint.offset[0]+joint.offset[1]*joint.offset[1]+joint.offset[2]*joint.offset[2]);
+		bone.direction=bone.length>0 ? [joint.offset[0]/bone.length, joint.offset[1]/bone.length, joint.offset[2]/bone.length] : [0,0,0];
+		bone.axis=[0,0,0];
+		bone.rotationOrder="XYZ";
+		bone.dof=boneChannels(joint,parent).map(function(channel){ return channelDof(channel.name); });
+		bone.channels=joint.channels;
+		bone.parentChannels=joint.parent!=0 ? parent.channels : [];
+		asfObj.boneData.push(bone);
+		asfObj.boneNames.push(bone.name);
+		asfObj.boneData[joint.parent].children.push(i);
+	}
+
+	for(var f=0; f<frameCount; f++){
+		var scene={sceneNum:String(f+1)};
+		var values=[];
+		for(var i=0; i<joints.length; i++){
+			values[i]=[];
+			for(var j=0; j<joints[i].channels.length; j++){
+				values[i].push(number(bvh,t,"frame "+(f+1)+" of "+frameCount));
+				t++;
+			}
+		}
+		scene.root=asfChannelOrder(rootJoint.channels).map(function(j){ return values[0][j]; });
+		for(var i=1; i<joints.length; i++){
+			var joint=joints[i];
+			scene[joint.name]=boneChannels(joint,joints[joint.parent]).map(function(channel){ return values[channel.joint][channel.index]; });
+		}
+		myAMC.scenes.push(scene);
+	}
+	myAMC.sceneCount=myAMC.scenes.length;
+	myAMC.frameTime=frameTime;
+	if(t<tokens.length)
+		diagnostics.push({severity:"warning", line:bvh.lines[t], message:"Values after the last of the "+frameCount+" frames ignored."});
+}
+
+// Reads a ROOT/JOINT/End Site block starting at token t and appends it and its descendants to joints.
+// Returns the index of the token after the closing brace.
+function parseJoint(bvh,t,parentIndex,joints){
+	var tokens=bvh.tokens;
+	var joint={name:null, index:joints.length, parent:parentIndex, offset:[0,0,0], channels:[]};
+	var start=t;
+	if(tokens[t]=="End"){
+		joint.name=uniqueName(joints[parentIndex].name+"_end",joints);
+	}
+	else if(t+1<tokens.length){
+		joint.name=tokens[t+1];
+	}
+	else{
+		throw bvhError(bvh,t,"The file ends in the name of a joint.");
+	}
+	var index=joint.index;
+	joints.push(joint);
+	t=t+2;
+	if(tokens[t]!="{")
+		throw bvhError(bvh,t,"Expected '{' after joint "+joint.name+".");
+	t++;
+	while(tokens[t]!="}"){
+		if(t>=tokens.length){
+			throw bvhError(bvh,start,"Joint "+joint.name+" has no closing '}'.");
+		}
+		else if(tokens[t]=="OFFSET"){
+			joint.offset=[1,2,3].map(function(k){ return number(bvh,t+k,"the OFFSET of "+joint.name); });
+			t=t+4;
+		}
+		else if(tokens[t]=="CHANNELS"){
+			var n=number(bvh,t+1,"the CHANNELS count of "+joint.name);
+			joint.channels=tokens.slice(t+2,t+2+n);
+			if(joint.channels.length<n)
+				throw bvhError(bvh,t,"The file ends in the CHANNELS of "+joint.name+".");
+			t=t+2+n;
+		}
+		else if(tokens[t]=="JOINT" || tokens[t]=="End"){
+			t=parseJoint(bvh,t,index,joints);
+		}
+		else{
+			throw bvhError(bvh,t,"Unexpected token '"+tokens[t]+"' in joint "+joint.name+".");
+		}
+	}
+	return t+1;
+}
+
+function uniqueName(name,joints){
+	var candidate=name;
+	var n=1;
+	while(joints.some(function(joint){ return joint.name==candidate; })){
+		candidate=name+n;
+		n++;
+	}
+	return candidate;
+}
+
+// ASF applies its dofs in the order they are listed while BVH multiplies its rotation channels left to right,
+// so the rotation channels are reversed. Returns the channel indices in ASF dof order, translations first.
+function asfChannelOrder(channels){
+	var positions=[];
+	var rotations=[];
+	for(var j=0; j<channels.length; j++){
+		if(channels[j].indexOf("position")!=-1)
+			positions.push(j);
+		else if(channels[j].indexOf("rotation")!=-1)
+			rotations.unshift(j);
+	}
+	return positions.concat(rotations);
+}
+
+// The channels that drive the bone made from joint: its own translation and its parent's rotation.
+// The root's rotation is already applied by the ASF root, so only deeper parents are copied.
+function boneChannels(joint,parent){
+	var channels=[];
+	var own=asfChannelOrder(joint.channels);
+	for(var j=0; j<own.length; j++){
+		if(joint.channels[own[j]].indexOf("position")!=-1)
+			channels.push({name:joint.channels[own[j]], joint:joint.index, index:own[j]});
+	}
+	if(joint.parent!=0){
+		var inherited=asfChannelOrder(parent.channels);
+		for(var j=0; j<inherited.length; j++){
+			if(parent.channels[inherited[j]].indexOf("rotation")!=-1)
+				channels.push({name:parent.channels[inherited[j]], joint:joint.parent, index:inherited[j]});
+		}
+	}
+	return channels;
+}
+
+// Xposition -> tx, Zrotation -> rz
+function channelDof(channel){
+	return (channel.indexOf("position")!=-1 ? "t" : "r")+channel[0].toLowerCase();
+}
@@ -0,0 +1,79 @@
+// Writes a Skeleton/Motion pair (see ../core) out as a Biovision .bvh file.
+// Every ASF bone becomes a joint placed at the bone's start, so its OFFSET is the parent bone's
+// direction*length and its channels are the bone's local rotation from ForwardKinematics.
+// Bones with tx/ty/tz/l dofs give their child joints position channels holding the change from the
+// rest OFFSET; a leaf bone's End Site cannot move, so its stretch is lost.
+// Lengths are written in the skeleton's base units (file lengths / units.length, inches for CMU clips).
+// rotationOrder is the BVH channel order, e.g. "ZXY" (the default). frameTime defaults to the motion's
+// own frame time (the Frame Time of a BVH file, 1/120 s for CMU clips).
+import { ForwardKinematics, quat2euler } from '../core/index.js';
+
+export function writeBVH(skeleton, motion, rotationOrder, frameTime){
+	rotationOrder=(rotationOrder || "ZXY").toUpperCase();
+	frameTime=frameTime || motion.frameTime;
+	var fk=new ForwardKinematics(skeleton,{lengthScale:1/skeleton.units.length});
+	var restOffsets=skeleton.bones.map(function(bone,i){ return fk.boneOffset(i,[]); });
+	var rootOffset=skeleton.root.position.map(function(x){ return x/skeleton.units.length; });
+	var channels=[];
+	for(var k=0; k<3; k++){
+		channels.push(rotationOrder[k]+"rotation");
+	}
+
+	var lines=["HIERARCHY"];
+	writeJoint(skeleton,0,rootOffset,restOffsets,channels,"",lines);
+	lines.push("MOTION");
+	lines.push("Frames: "+motion.frameCount);
+	lines.push("Frame Time: "+frameTime.toFixed(7));
+
+	for(var j=0; j<motion.frameCount; j++){
+		var rotations=fk.localRotations(motion,j);
+		var boneOffsets=fk.boneOffsets(motion,j);
+		var rootPosition=fk.rootPosition(motion,j);
+		var values=[rootPosition[0]-rootOffset[0], rootPosition[1]-rootOffset[1], rootPosition[2]-rootOffset[2]];
+		for(var i=0; i<skeleton.bones.length; i++){
+			var parent=skeleton.bones[i].parent;
+			if(parent>0 && hasTranslationDof(skeleton.bones[parent])){
+				for(var k=0; k<3; k++){
+					values.push(boneOffsets[parent][k]-restOffsets[parent][k]);
+				}
+			}
+			var eulers=quat2euler(rotations[i],rotationOrder);
+			for(var k=0; k<3; k++){
+				values.push(eulers[k]*180/Math.PI);
+			}
+		}
+		lines.push(values.map(formatBVHNumber).join(" "));
+	}
+	return lines.join("\n")+"\n";
+}
+
+// Appends the ROOT/JOINT block for bone index and its subtree to lines.
+function writeJoint(skeleton,index,offset,restOffsets,channels,indent,lines){
+	var bone=skeleton.bones[index];
+	lines.push(indent+(index==0 ? "ROOT " : "JOINT ")+bone.name);
+	lines.push(indent+"{");
+	lines.push(indent+"\tOFFSET "+offset.map(formatBVHNumber).join(" "));
+	if(index==0 || (bone.parent>0 && hasTranslationDof(skeleton.bones[bone.parent])))
+		lines.push(indent+"\tCHANNELS 6 Xposition Yposition Zposition "+channels.join(" "));
+	else
+		lines.push(indent+"\tCHANNELS 3 "+channels.join(" "));
+	if(bone.children.length==0){
+		//leaf bones still need their own length, which BVH stores as an End Site
+		lines.push(indent+"\tEnd Site");
+		lines.push(indent+"\t{");
+		lines.push(indent+"\t\tOFFSET "+restOffsets[index].map(formatBVHNumber).join(" "));
+		lines.push(indent+"\t}");
+	}
+	for(var i=0; i<bone.children.length; i++){
+		writeJoint(skeleton,bone.children[i],restOffsets[index],restOffsets,channels,indent+"\t",lines);
+	}
+	lines.push(indent+"}");
+}
+
+function hasTranslationDof(bone){
+	return bone.dof.some(function(dof){ return dof=="tx" || dof=="ty" || dof=="tz" || dof=="l"; });
+}
+
+function formatBVHNumber(x){
+	return parseFloat(x.toFixed(6)).toString();
+}
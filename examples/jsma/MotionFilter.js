@@ -0,0 +1,227 @@
+// Smoothing filters for jittery captures, run on a clip after parsing and before it is played.
+// Uses the Biquad filter of libs/dsp.js, which has to be loaded (as a plain script) first.
+// Each channel of a bone (the values of one dof over the frames) is filtered on its own:
+//   "butterworth": 2nd order Butterworth low-pass run forwards and backwards, so it does not shift the
+//                  motion in time; cutoff is in Hz and ends up 6 dB down after the two passes
+//   "savgol": Savitzky-Golay, a least squares polynomial of the given order fitted over window frames
+//             around each frame; it keeps peaks sharper than a low-pass of the same smoothness
+// Angles are unwrapped before filtering. With quaternion set, the rotation of a bone is filtered
+// instead: its local rotation quaternion, kept on one hemisphere, is smoothed component by component,
+// normalized and turned back into the bone's dofs, which is safe near gimbal lock and 180 degree wraps.
+// Per bone settings override the others, e.g. {cutoff: 6, bones: {lhand: {cutoff: 3}, root: {off: true}}}.
+import { Motion, ForwardKinematics, quat } from '../core/index.js';
+
+export var FILTER_DEFAULTS = {method: "butterworth", cutoff: 6, window: 9, order: 3, quaternion: true};
+
+//The settings used for one bone
+export function boneFilter(options, boneName){
+	var settings = Object.assign({}, FILTER_DEFAULTS, options);
+	return Object.assign(settings, (options && options.bones && options.bones[boneName]) || {});
+}
+
+//Zero phase Butterworth low-pass of one channel sampled at sampleRate (Hz). The ends are padded with
+//the channel mirrored about its first and last values (which it keeps) so the filter does not pull
+//them towards zero.
+export function lowPass(signal, cutoff, sampleRate){
+	var n=signal.length;
+	if(n<2 || !(cutoff>0) || cutoff>=sampleRate/2){
+		return Array.from(signal);
+	}
+	var pad=Math.min(n-1, Math.ceil(3*sampleRate/cutoff));
+	var padded=[];
+	for(var k=pad; k>0; k--){
+		padded.push(2*signal[0]-signal[k]);
+	}
+	for(var k=0; k<n; k++){
+		padded.push(signal[k]);
+	}
+	for(var k=1; k<=pad; k++){
+		padded.push(2*signal[n-1]-signal[n-1-k]);
+	}
+	var forward=biquadPass(padded, cutoff, sampleRate);
+	var backward=biquadPass(forward.reverse(), cutoff, sampleRate).reverse();
+	return backward.slice(pad, pad+n);
+}
+
+function biquadPass(buffer, cutoff, sampleRate){
+	var filter=new Biquad(DSP.LPF, sampleRate);
+	filter.setQ(Math.SQRT1_2);
+	filter.setF0(cutoff);
+	//start settled on the first value instead of ringing up from 0
+	filter.x_1_l=filter.x_2_l=filter.y_1_l=filter.y_2_l=buffer[0];
+	return Array.from(filter.process(buffer));
+}
+
+//Savitzky-Golay smoothing of one channel. window is in frames (made odd); near the ends the window
+//stays inside the channel and the fitted polynomial is evaluated off its center.
+export function savitzkyGolay(signal, window, order){
+	var n=signal.length;
+	var half=Math.min(Math.floor(window/2), Math.floor((n-1)/2));
+	order=Math.min(Math.max(0, Math.round(order)), 2*half-1);
+	if(half<1){
+		return Array.from(signal);
+	}
+	var size=2*half+1;
+	var weights=[];
+	var result=[];
+	for(var i=0; i<n; i++){
+		var start=Math.min(Math.max(0, i-half), n-size);
+		var at=i-start;
+		if(!weights[at]){
+			weights[at]=savitzkyGolayWeights(size, order, at);
+		}
+		var sum=0;
+		for(var k=0; k<size; k++){
+			sum+=weights[at][k]*signal[start+k];
+		}
+		result.push(sum);
+	}
+	return result;
+}
+
+//Weights giving the value at position at of the polynomial fitted to size samples:
+//solves the normal equations (A^T A) c = e0 with A[k][j] = z_k^j, z_k = (k - at)/size
+function savitzkyGolayWeights(size, order, at){
+	var terms=order+1;
+	var powers=[];
+	for(var k=0; k<size; k++){
+		var z=(k-at)/size;
+		var row=[1];
+		for(var j=1; j<terms; j++){
+			row.push(row[j-1]*z);
+		}
+		powers.push(row);
+	}
+	var system=[];
+	for(var r=0; r<terms; r++){
+		var line=[];
+		for(var c=0; c<terms; c++){
+			var sum=0;
+			for(var k=0; k<size; k++){
+				sum+=powers[k][r]*powers[k][c];
+			}
+			line.push(sum);
+		}
+		line.push(r==0 ? 1 : 0);
+		system.push(line);
+	}
+	var c=solve(system);
+	return powers.map(function(row){
+		return row.reduce(function(sum, p, j){ return sum+p*c[j]; }, 0);
+	});
+}
+
+//Gaussian elimination with partial pivoting on an augmented matrix
+function solve(system){
+	var n=system.length;
+	for(var col=0; col<n; col++){
+		var pivot=col;
+		for(var r=col+1; r<n; r++){
+			if(Math.abs(system[r][col])>Math.abs(system[pivot][col])){ pivot=r; }
+		}
+		var swap=system[col]; system[col]=system[pivot]; system[pivot]=swap;
+		for(var r=col+1; r<n; r++){
+			var f=system[r][col]/system[col][col];
+			for(var c=col; c<=n; c++){
+				system[r][c]-=f*system[col][c];
+			}
+		}
+	}
+	var x=[];
+	for(var r=n-1; r>=0; r--){
+		var sum=system[r][n];
+		for(var c=r+1; c<n; c++){
+			sum-=system[r][c]*x[c];
+		}
+		x[r]=sum/system[r][r];
+	}
+	return x;
+}
+
+//One channel through the filter picked in settings
+export function filterChannel(signal, frameTime, settings){
+	if(settings.off || settings.method=="off"){
+		return Array.from(signal);
+	}
+	if(settings.method=="savgol"){
+		return savitzkyGolay(signal, settings.window, settings.order);
+	}
+	return lowPass(signal, settings.cutoff, 1/frameTime);
+}
+
+//The filtered values of bone index for every frame of motion (arrays like the AMC values)
+export function filterBone(fk, motion, index, options){
+	var skeleton=fk.skeleton;
+	var bone=skeleton.bones[index];
+	var settings=boneFilter(options, bone.name);
+	var channels=index==0 ? bone.order.map(function(channel){ return channel.toLowerCase(); }) : bone.dof;
+	var frames=[];
+	for(var f=0; f<motion.frameCount; f++){
+		frames.push(motion.values(f, bone.name));
+	}
+	if(settings.off || settings.method=="off" || channels.length==0){
+		return frames.map(function(values){ return values.slice(); });
+	}
+	var period=2*Math.PI/skeleton.angleFactor;
+	var filtered=frames.map(function(){ return channels.map(function(){ return 0; }); });
+	var isRotation=function(channel){ return channel[0]=="r"; };
+	channels.forEach(function(channel, k){
+		if(settings.quaternion && isRotation(channel)){ return; }
+		var signal=frames.map(function(values){ return values[k] || 0; });
+		if(isRotation(channel)){
+			for(var f=1; f<signal.length; f++){
+				signal[f]+=period*Math.round((signal[f-1]-signal[f])/period);
+			}
+		}
+		filterChannel(signal, motion.frameTime, settings).forEach(function(value, f){ filtered[f][k]=value; });
+	});
+	if(settings.quaternion && channels.some(isRotation)){
+		var rotations=frames.map(function(values){ return fk.boneRotation(index, values); });
+		for(var f=1; f<rotations.length; f++){
+			if(quat.dot(rotations[f-1], rotations[f])<0){
+				rotations[f]=rotations[f].map(function(x){ return -x; });
+			}
+		}
+		var components=[0, 1, 2, 3].map(function(c){
+			return filterChannel(rotations.map(function(q){ return q[c]; }), motion.frameTime, settings);
+		});
+		var previous=frames[0];
+		filtered.forEach(function(values, f){
+			var q=quat.normalize(quat.create(), components.map(function(component){ return component[f]; }));
+			var angles=fk.rotationValues(index, q, previous);
+			channels.forEach(function(channel, k){
+				if(isRotation(channel)){ values[k]=angles[k]; }
+			});
+			previous=values;
+		});
+	}
+	return filtered;
+}
+
+//A filtered copy of motion. Bones a frame has no line for stay out of the copy too.
+export function filterMotion(skeleton, motion, options){
+	var fk=new ForwardKinematics(skeleton);
+	var frames=motion.frames.map(function(){ return new Map(); });
+	skeleton.bones.forEach(function(bone, index){
+		if(!motion.frames.some(function(values){ return values.has(bone.name); })){ return; }
+		filterBone(fk, motion, index, options).forEach(function(values, f){
+			if(motion.frames[f].has(bone.name)){ frames[f].set(bone.name, values); }
+		});
+	});
+	return new Motion(frames, {frameTime: motion.frameTime});
+}
+
+//Joint trajectories ([frame][joint] positions, as ForwardKinematics.evaluateClip gives them) with
+//every coordinate filtered; options.bones is keyed by the name of the bone ending at the joint
+export function filterTrajectories(skeleton, trajectories, frameTime, options){
+	var result=trajectories.map(function(positions){ return positions.map(function(position){ return position && position.slice(); }); });
+	skeleton.bones.forEach(function(bone, joint){
+		var settings=boneFilter(options, bone.name);
+		if(!trajectories.every(function(positions){ return positions[joint]; })){ return; }
+		for(var c=0; c<3; c++){
+			var signal=trajectories.map(function(positions){ return positions[joint][c]; });
+			filterChannel(signal, frameTime, settings).forEach(function(value, f){ result[f][joint][c]=value; });
+		}
+	});
+	return result;
+}
@@ -1,4 +1,7 @@
 //Purpose: Code to parse and render scene files
+//The poses come from the shared skeleton/motion core in ../core, this file only draws them
+
+import { Skeleton, Motion, ForwardKinematics, Playback, limitReport, clampMotion, ikState, solveIK, writeValues, chainBones } from '../core/index.js';
 
 //////////////////////////////////////////////////////////
 ///////         SCENE LOADING CODE              //////////
@@ -6,7 +9,7 @@
 
 
 
-function setupScene(glcanvas) {
+export function setupScene(glcanvas) {
    //Now that the scene has loaded, setup the glcanvas
     glcanvas.scene={}
     glcanvas.scene.currentScene = NaN;
@@ -15,56 +18,249 @@ function setupScene(glcanvas) {
     glcanvas.scene.boneStarts=[];
     glcanvas.scene.boneEnds=[];
     glcanvas.scene.defined = false;
+    //joint limits: "off", "flag" (highlight violating joints) or "clamp" (also hold the dofs inside their limits)
+    glcanvas.limitMode = "off";
+    //bones moved when dragging a joint, 0 turns IK dragging off
+    glcanvas.ikChain = 0;
     SceneCanvas(glcanvas, 'GLEAT/DrawingUtils', 800, 600);
     requestAnimFrame(glcanvas.repaint);
 }
 
-function loadScene(asf,amc,glcanvas){
+//asf and amc are the objects from parseASF/parseAMC (or parseBVH)
+export function loadScene(asf,amc,glcanvas){
     var scene={};
-    scene.trajectories=getAllTrajectories(asf,amc)
-    var bones=getBoneEndPoints(asf,scene.trajectories);
-    scene.boneStarts=bones.starts;
-    scene.boneEnds=bones.ends;
-    scene.finalScene = amc.sceneCount - 1;
+    scene.skeleton=Skeleton.fromASF(asf);
+    scene.sourceMotion=Motion.fromAMC(amc);
+    scene.fk=new ForwardKinematics(scene.skeleton);
+    updateLimitReport(scene);
+    scene.finalScene = scene.sourceMotion.frameCount - 1;
     scene.currentScene = 0;
-    scene.defined = true;
+    //keep the speed and direction picked for the previous clip
+    var previous = glcanvas.scene.playback;
+    scene.playback = new Playback(scene.sourceMotion, {loop: false});
+    if (previous) {
+      scene.playback.setSpeed(previous.speed);
+      scene.playback.reverse = previous.reverse;
+    }
+    pause();
     glcanvas.scene=scene;
+    applyLimitMode(scene, glcanvas.limitMode);
+    scene.defined = true;
+    showFrame(glcanvas, 0);
+}
+
+//the report always describes the clip as loaded (or edited), clamping does not hide what was wrong
+function updateLimitReport(scene) {
+    scene.limitReport=limitReport(scene.skeleton, scene.sourceMotion);
+    scene.violatingBones=scene.limitReport.frames.map(function(violations){
+      return violations.map(function(violation){ return scene.skeleton.indexOf(violation.bone); });
+    });
+}
+
+//Picks the motion to play for the limit mode and precomputes its poses
+function applyLimitMode(scene, mode) {
+    scene.motion = mode == "clamp" ? clampMotion(scene.skeleton, scene.sourceMotion) : scene.sourceMotion;
+    scene.playback.motion = scene.motion;
+    var poses=scene.fk.evaluateClip(scene.motion);
+    scene.trajectories=poses.map(function(pose){ return pose.positions; });
+    scene.boneStarts=poses.map(function(pose){ return pose.segments.map(function(segment){ return segment.start; }); });
+    scene.boneEnds=poses.map(function(pose){ return pose.segments.map(function(segment){ return segment.end; }); });
+}
+
+export function setLimitMode(glcanvas, mode) {
+  glcanvas.limitMode = mode;
+  var scene = glcanvas.scene;
+  if (!scene.defined) { return; }
+  var position = scene.playback.position;
+  applyLimitMode(scene, mode);
+  showFrame(glcanvas, position);
+  requestAnimFrame(glcanvas.repaint);
 }
 
 // controls for GUI
-// global FPS variable determines when new scene is rendered
-FPS = 120;
-var interval = null;
-function animateFigure(glcanvas) {
-  interval = setInterval(animate, 1000/FPS);
+// Playback runs on requestAnimationFrame timestamps, see core/Playback.js. The clip plays once at its
+// own capture rate times the speed, then goes back to the first frame.
+var frameRequest = null;
+export function animateFigure(glcanvas) {
+  var playback = glcanvas.scene.playback;
+  pause();
+  //playing backwards from the first frame starts at the end
+  if (playback.reverse && playback.frame == 0) { playback.seek(glcanvas.scene.finalScene); }
+  playback.play();
+  frameRequest = window.requestAnimationFrame(function(timestamp) { animate(glcanvas, timestamp); });
+}
+
+function animate(glcanvas, timestamp) {
+  var playback = glcanvas.scene.playback;
+  playback.tick(timestamp);
+  showFrame(glcanvas, playback.position);
+  glcanvas.repaint();
+  if (playback.playing) {
+    frameRequest = window.requestAnimationFrame(function(timestamp) { animate(glcanvas, timestamp); });
+  }
+  else {
+    frameRequest = null;
+    resetScene(glcanvas);
+  }
+}
+
+export function pause() {
+  if (frameRequest !== null) {
+    window.cancelAnimationFrame(frameRequest);
+    frameRequest = null;
+  }
+}
+
+export function resetScene(glcanvas){
+  pause();
+  if (glcanvas.scene.playback) {
+    glcanvas.scene.playback.pause();
+    glcanvas.scene.playback.seek(0);
+  }
+  showFrame(glcanvas, 0);
+  requestAnimFrame(glcanvas.repaint);
+}
+
+//Shows any frame position, fractional ones are slerped between the frames around them
+function showFrame(glcanvas, frame) {
+  var scene = glcanvas.scene;
+  if (!scene.defined) { return; }
+  scene.currentScene = Math.floor(frame);
+  scene.pose = scene.fk.evaluate(scene.motion, frame);
+  //lets the page move its frame slider along
+  if (glcanvas.onFrame) { glcanvas.onFrame(frame); }
+}
+
+//Scrubbing: jump to a frame (fractional is fine) without starting playback
+export function seekScene(glcanvas, frame) {
+  if (!glcanvas.scene.defined) { return; }
+  glcanvas.scene.playback.seek(frame);
+  showFrame(glcanvas, glcanvas.scene.playback.position);
+  requestAnimFrame(glcanvas.repaint);
 }
 
-function animate() {
-  if (glcanvas.scene.currentScene < glcanvas.scene.finalScene) {
-    requestAnimFrame(glcanvas.repaint)
-    glcanvas.scene.currentScene+=1;
+//speed is a multiplier of the capture rate, clamped to 0.1x - 4x
+export function setSpeed(glcanvas, speed) {
+  if (glcanvas.scene.playback) { glcanvas.scene.playback.setSpeed(speed); }
+}
+
+export function setReverse(glcanvas, reverse) {
+  if (glcanvas.scene.playback) { glcanvas.scene.playback.reverse = reverse; }
+}
+
+//region is { start, end } (frames, inclusive) to loop playback over, or null to play the whole clip once
+export function setLoopRegion(glcanvas, region) {
+  var playback = glcanvas.scene.playback;
+  if (!playback) { return; }
+  playback.region = region;
+  playback.loop = region != null;
+}
+
+//rate is the frames per second the clip was captured at (120 for CMU clips)
+export function setFrameRate(glcanvas, rate) {
+  if (glcanvas.scene.playback && rate > 0) {
+    glcanvas.scene.playback.frameRate = rate;
+    glcanvas.scene.sourceMotion.frameTime = glcanvas.scene.motion.frameTime;
   }
-  if (glcanvas.scene.currentScene == glcanvas.scene.finalScene) { resetScene(); }
 }
 
-function pause() {
-  clearInterval(interval);
+//////////////////////////////////////////////////////////
+///////           POSE EDITING CODE             //////////
+//////////////////////////////////////////////////////////
+
+//Dragging a joint with glcanvas.ikChain > 0 moves it with IK (../core/IK.js) through that many bones
+//above it, within their joint limits, and writes the new dof values into the frame shown
+const PICK_RADIUS = 12; //pixels
+
+//Screen position (canvas pixels) and depth of a point in the scene
+function projectPoint(glcanvas, point) {
+  var m = mat4.create();
+  mat4.mul(m, glcanvas.projectionMatrix(), glcanvas.camera.getMVMatrix());
+  var p = vec4.transformMat4(vec4.create(), vec4.fromValues(point[0], point[1], point[2], 1), m);
+  return {
+    X: (p[0] / p[3] + 1) / 2 * glcanvas.gl.viewportWidth,
+    Y: (1 - p[1] / p[3]) / 2 * glcanvas.gl.viewportHeight,
+    Z: p[2] / p[3]
+  };
+}
+
+//The point under a canvas pixel at a depth from projectPoint
+function unprojectPoint(glcanvas, X, Y, Z) {
+  var m = mat4.create();
+  mat4.mul(m, glcanvas.projectionMatrix(), glcanvas.camera.getMVMatrix());
+  mat4.invert(m, m);
+  var ndc = vec4.fromValues(X / glcanvas.gl.viewportWidth * 2 - 1, 1 - Y / glcanvas.gl.viewportHeight * 2, Z, 1);
+  var p = vec4.transformMat4(vec4.create(), ndc, m);
+  return [p[0] / p[3], p[1] / p[3], p[2] / p[3]];
 }
 
-function resetScene(){
-  glcanvas.scene.currentScene = 0;
-  clearInterval(interval);
+//The joint drawn nearest to a mouse position, or -1. The root cannot be dragged.
+function pickJoint(glcanvas, mousePos) {
+  var positions = glcanvas.scene.pose.positions;
+  var best = -1;
+  var bestDistance = PICK_RADIUS;
+  for (var i = 1; i < positions.length; i++) {
+    if (!positions[i]) continue;
+    var p = projectPoint(glcanvas, positions[i]);
+    var distance = Math.hypot(p.X - mousePos.X, p.Y - mousePos.Y);
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+//Starts dragging the joint under the mouse, editing the nearest whole frame
+function startPoseEdit(glcanvas, mousePos) {
+  var scene = glcanvas.scene;
+  if (!scene.defined || !(glcanvas.ikChain > 0)) { return false; }
+  var joint = pickJoint(glcanvas, mousePos);
+  if (joint == -1) { return false; }
+  pause();
+  scene.playback.pause();
+  scene.playback.seek(Math.round(scene.playback.position));
+  showFrame(glcanvas, scene.playback.position);
+  glcanvas.editJoint = joint;
+  glcanvas.editDepth = projectPoint(glcanvas, scene.pose.positions[joint]).Z;
+  return true;
+}
+
+//Moves the dragged joint under the mouse, keeping its depth from the camera
+function dragPoseEdit(glcanvas, mousePos) {
+  var scene = glcanvas.scene;
+  var frame = scene.currentScene;
+  var target = unprojectPoint(glcanvas, mousePos.X, mousePos.Y, glcanvas.editDepth);
+  var state = ikState(scene.fk, scene.motion, frame);
+  solveIK(scene.fk, state, glcanvas.editJoint, target, {chain: glcanvas.ikChain});
+  var values = writeValues(scene.fk, state, scene.motion.frames[frame], chainBones(scene.skeleton, glcanvas.editJoint, glcanvas.ikChain));
+  scene.sourceMotion.frames[frame] = values;
+  scene.motion.frames[frame] = values;
+  showFrame(glcanvas, frame);
   requestAnimFrame(glcanvas.repaint);
 }
 
+//The edited frame changes the limit report and the precomputed poses; glcanvas.onPoseEdit lets the page follow
+function finishPoseEdit(glcanvas) {
+  var scene = glcanvas.scene;
+  glcanvas.editJoint = -1;
+  updateLimitReport(scene);
+  applyLimitMode(scene, glcanvas.limitMode);
+  showFrame(glcanvas, scene.currentScene);
+  requestAnimFrame(glcanvas.repaint);
+  if (glcanvas.onPoseEdit) { glcanvas.onPoseEdit(scene.currentScene); }
+}
+
 //////////////////////////////////////////////////////////
 ///////           RENDERING CODE                //////////
 //////////////////////////////////////////////////////////
 
-BEACON_SIZE = 0.8;
+//the poses are in meters (see ../core/Units.js)
+const BEACON_SIZE = 0.02;
+const LIMIT_COLOR = vec3.fromValues(1, 0, 0);
 
 function drawBeacon(glcanvas, pMatrix, mvMatrix, joint, mesh, color) {
-	m = mat4.create();
+	var m = mat4.create();
 	mat4.translate(m, m, joint);
 	mat4.scale(m, m, vec3.fromValues(BEACON_SIZE, BEACON_SIZE, BEACON_SIZE));
 	mat4.mul(m, mvMatrix, m);
@@ -76,7 +272,7 @@ function drawBeacon(glcanvas, pMatrix, mvMatrix, joint, mesh, color) {
 function vec3StrFixed(v, k) {
     return "(" + v[0].toFixed(k) + ", " + v[1].toFixed(2) + ", " + v[2].toFixed(2) + ")";
 }
-function updateBeaconsPos() {
+function updateBeaconsPos(glcanvas) {
     var sourcePosE = document.getElementById("sourcePos");
     var receiverPosE = document.getElementById("receiverPos");
     var externalPosE = document.getElementById("externalPos");
@@ -85,7 +281,7 @@ function updateBeaconsPos() {
 
 
 //A function that adds lots of fields to glcanvas for rendering the scene graph
-function SceneCanvas(glcanvas, shadersRelPath, pixWidth, pixHeight) {
+export function SceneCanvas(glcanvas, shadersRelPath, pixWidth, pixHeight) {
 
     // //Rendering properties
      glcanvas.drawJoints = true;
@@ -95,6 +291,7 @@ function SceneCanvas(glcanvas, shadersRelPath, pixWidth, pixHeight) {
 	glcanvas.lastX = 0;
 	glcanvas.lastY = 0;
 	glcanvas.dragging = false;
+	glcanvas.editJoint = -1;
 	glcanvas.justClicked = false;
 	glcanvas.clickType = "LEFT";
 
@@ -106,8 +303,8 @@ function SceneCanvas(glcanvas, shadersRelPath, pixWidth, pixHeight) {
 
 	//Scene and camera stuff
     glcanvas.externalCam = new FPSCamera(pixWidth, pixHeight, 0.75);
-    glcanvas.externalCam.pos = vec3.fromValues(50, 40, 120);
-    glcanvas.walkspeed = 20;//How many meters per second
+    glcanvas.externalCam.pos = vec3.fromValues(1.3, 1.0, 3.0);
+    glcanvas.walkspeed = 0.5;//How many meters per second
     glcanvas.lastTime = (new Date()).getTime();
     glcanvas.movelr = 0;//Moving left/right
     glcanvas.movefb = 0;//Moving forward/backward
@@ -115,7 +312,7 @@ function SceneCanvas(glcanvas, shadersRelPath, pixWidth, pixHeight) {
     glcanvas.camera = glcanvas.externalCam;
 	//Meshes for source and receiver
     glcanvas.beaconMesh = getIcosahedronMesh();
-    updateBeaconsPos();
+    updateBeaconsPos(glcanvas);
 
 	/////////////////////////////////////////////////////
 	//Step 1: Setup repaint function
@@ -131,13 +328,18 @@ function SceneCanvas(glcanvas, shadersRelPath, pixWidth, pixHeight) {
 		}
 	}
 
+	glcanvas.projectionMatrix = function() {
+		var pMatrix = mat4.create();
+		mat4.perspective(pMatrix, 45, glcanvas.gl.viewportWidth / glcanvas.gl.viewportHeight, 0.01, 300.0);
+		return pMatrix;
+	}
+
 	glcanvas.repaint = function() {
 	  glcanvas.light1Pos = glcanvas.camera.pos;
 		glcanvas.gl.viewport(0, 0, glcanvas.gl.viewportWidth, glcanvas.gl.viewportHeight);
 		glcanvas.gl.clear(glcanvas.gl.COLOR_BUFFER_BIT | glcanvas.gl.DEPTH_BUFFER_BIT);
 
-		var pMatrix = mat4.create();
-		mat4.perspective(pMatrix, 45, glcanvas.gl.viewportWidth / glcanvas.gl.viewportHeight, 0.01, 300.0);
+		var pMatrix = glcanvas.projectionMatrix();
 		//First get the global modelview matrix based on the camera
 		var mvMatrix = glcanvas.camera.getMVMatrix();
 		//Then drawn the scene
@@ -145,23 +347,27 @@ function SceneCanvas(glcanvas, shadersRelPath, pixWidth, pixHeight) {
     if (glcanvas.scene.defined) {
 
 
+      //bones outside their limits in the nearest frame, drawn in red with the joint they turn about
+      var violating = glcanvas.limitMode == "off" ? [] : glcanvas.scene.violatingBones[Math.round(glcanvas.scene.playback.position)];
+      var skeletonBones = glcanvas.scene.skeleton.bones;
       if (glcanvas.drawJoints){
-        for(var i=0; i<glcanvas.scene.trajectories[0].length; i++){
-            var index = glcanvas.scene.currentScene;
-            //console.log(index);
-            var curr = glcanvas.scene.trajectories[index];
-            drawBeacon(glcanvas, pMatrix, mvMatrix, curr[i], glcanvas.beaconMesh, vec3.fromValues(1, 0, 1));
+        for(var i=0; i<glcanvas.scene.pose.positions.length; i++){
+            //the pose of the current (possibly fractional) frame
+            var curr = glcanvas.scene.pose.positions;
+            //bones left out of the hierarchy have no position
+            if (!curr[i]) continue;
+            var turnsViolating = skeletonBones[i].children.some(function(child){ return violating.indexOf(child) != -1; });
+            drawBeacon(glcanvas, pMatrix, mvMatrix, curr[i], glcanvas.beaconMesh, turnsViolating ? LIMIT_COLOR : vec3.fromValues(1, 0, 1));
         }
       }
         //Draw the paths
       if (glcanvas.drawBones){
         glcanvas.drawer.reset();
 
-        for(var i=0; i<glcanvas.scene.boneStarts[0].length; i++){
-            var index = glcanvas.scene.currentScene;
-            var currStart = glcanvas.scene.boneStarts[index];
-            var currEnd= glcanvas.scene.boneEnds[index];
-            glcanvas.drawer.drawLine(currStart[i],currEnd[i], vec3.fromValues(0,1,1) );
+        var segments = glcanvas.scene.pose.segments;
+        for(var i=0; i<segments.length; i++){
+            var color = violating.indexOf(segments[i].bone) != -1 ? LIMIT_COLOR : vec3.fromValues(0,1,1);
+            glcanvas.drawer.drawLine(segments[i].start,segments[i].end, color );
         }
         glcanvas.drawer.repaint(pMatrix, mvMatrix);
       }
@@ -175,7 +381,7 @@ function SceneCanvas(glcanvas, shadersRelPath, pixWidth, pixHeight) {
 		    glcanvas.camera.translate(0, 0, glcanvas.movefb, glcanvas.walkspeed*dt);
 		    glcanvas.camera.translate(0, glcanvas.moveud, 0, glcanvas.walkspeed*dt);
 		    glcanvas.camera.translate(glcanvas.movelr, 0, 0, glcanvas.walkspeed*dt);
-		    updateBeaconsPos(); //Update HTML display of vector positions
+		    updateBeaconsPos(glcanvas); //Update HTML display of vector positions
 		    requestAnimFrame(glcanvas.repaint);
 		}
 	}
@@ -193,12 +399,14 @@ function SceneCanvas(glcanvas, shadersRelPath, pixWidth, pixHeight) {
 
 	glcanvas.releaseClick = function(evt) {
 		this.dragging = false;
+		if (this.editJoint > 0) finishPoseEdit(this);
 		requestAnimFrame(this.repaint);
 		return false;
 	}
 
 	glcanvas.mouseOut = function(evt) {
 		this.dragging = false;
+		if (this.editJoint > 0) finishPoseEdit(this);
 		requestAnimFrame(this.repaint);
 		return false;
 	}
@@ -219,6 +427,8 @@ function SceneCanvas(glcanvas, shadersRelPath, pixWidth, pixHeight) {
 		var mousePos = this.getMousePos(evt);
 		this.lastX = mousePos.X;
 		this.lastY = mousePos.Y;
+		//with IK dragging on, a left click on a joint grabs it instead of turning the camera
+		if (glcanvas.clickType == "LEFT") startPoseEdit(this, mousePos);
 		requestAnimFrame(this.repaint);
 		return false;
 	}
@@ -230,7 +440,10 @@ function SceneCanvas(glcanvas, shadersRelPath, pixWidth, pixHeight) {
 		var dY = mousePos.Y - this.lastY;
 		this.lastX = mousePos.X;
 		this.lastY = mousePos.Y;
-		if (this.dragging) {
+		if (this.dragging && this.editJoint > 0) {
+		    dragPoseEdit(this, mousePos);
+		}
+		else if (this.dragging) {
 		    //Rotate camera by mouse dragging
 		    this.camera.rotateLeftRight(-dX);
 		    this.camera.rotateUpDown(-dY);
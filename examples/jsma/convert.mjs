@@ -0,0 +1,238 @@
+// Batch conversion of ASF/AMC clips from the command line, with the parsers, writers and filters the
+// player uses and no browser. Run it with Node from anywhere:
+//
+//   node examples/jsma/convert.mjs [options] <.amc files or directories>
+//
+//   --out <dir>            where the results go (the current directory by default)
+//   --format <list>        comma separated, any of
+//                            bvh   <clip>.bvh (see BVHwriter.js)
+//                            amc   <clip>.amc, plus <clip>.asf when lengths were scaled
+//                            json  <clip>.trajectories.json, every joint's position in every frame
+//                            clip  <clip>.clip.json, the game clip of ../core/GameClip.js
+//                          bvh by default
+//   --asf <file>           skeleton for every clip, instead of finding one next to each AMC
+//   --rate <Hz>            capture rate of the AMC files, which do not store it (120 by default)
+//   --fps <Hz>             resample to this rate first
+//   --filter <method>      butterworth or savgol, see MotionFilter.js; --cutoff <Hz>, --window <frames>,
+//                          --order <n> and --euler (filter angles one by one, not as quaternions) tune it
+//   --joints               filter the joint trajectories of the json output instead of the dof channels
+//                          (filterTrajectories in MotionFilter.js); only with --format json
+//   --scale <factor>       makes the character that much bigger
+//   --units <unit>         m, cm, mm or in: the unit lengths are written in. By default BVH lengths are
+//                          in the ASF's base unit (inches for CMU clips), JSON in meters and AMC as in
+//                          the ASF; for amc the .asf written with it says how long its unit is
+//   --bvh-order <order>    rotation order of the BVH channels, ZXY by default
+//
+// A clip's ASF is the one with the same name (teapot.amc, teapot.asf), else the one with its subject
+// number (07_05-walk.amc, 07-walk.asf), else the only ASF in its directory. Files with parse errors
+// are reported and skipped, and the exit code is 1 when any clip failed.
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { Skeleton, Motion, ForwardKinematics, gameClip, INCH } from '../core/index.js';
+import { parseASF } from './ASFparser.js';
+import { AMC, parseAMC } from './AMCparser.js';
+import { writeBVH } from './BVHwriter.js';
+import { writeAMC } from './AMCwriter.js';
+import { writeASF, scaleSkeleton } from './ASFwriter.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+// MotionFilter.js expects dsp.js, a plain browser script, as globals like the page loads it
+vm.runInThisContext(fs.readFileSync(path.join(here, 'libs/dsp.js'), 'utf8'), { filename: 'libs/dsp.js' });
+const { filterMotion, filterTrajectories, FILTER_DEFAULTS } = await import('./MotionFilter.js');
+
+const FORMATS = ['bvh', 'amc', 'json', 'clip'];
+const METERS = { m: 1, cm: 0.01, mm: 0.001, in: INCH };
+
+const { values: options, positionals: inputs } = parseArgs({
+    allowPositionals: true,
+    options: {
+        out: { type: 'string', default: '.' },
+        format: { type: 'string', default: 'bvh' },
+        asf: { type: 'string' },
+        rate: { type: 'string', default: '120' },
+        fps: { type: 'string' },
+        filter: { type: 'string' },
+        cutoff: { type: 'string', default: String(FILTER_DEFAULTS.cutoff) },
+        window: { type: 'string', default: String(FILTER_DEFAULTS.window) },
+        order: { type: 'string', default: String(FILTER_DEFAULTS.order) },
+        euler: { type: 'boolean', default: false },
+        joints: { type: 'boolean', default: false },
+        scale: { type: 'string', default: '1' },
+        units: { type: 'string' },
+        'bvh-order': { type: 'string', default: 'ZXY' },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+if (options.help || inputs.length === 0) {
+    // The usage is the comment at the top of this file
+    const usage = fs.readFileSync(fileURLToPath(import.meta.url), 'utf8').split('\n\n')[0];
+    console.log(usage.replace(/^\/\/ ?/gm, ''));
+    process.exit(inputs.length === 0 && !options.help ? 1 : 0);
+}
+
+function fail(message) {
+    console.error('convert: ' + message);
+    process.exit(1);
+}
+
+const formats = options.format.split(',').map(format => format.trim().toLowerCase());
+formats.forEach(format => {
+    if (!FORMATS.includes(format)) fail(`unknown format "${format}", use ${FORMATS.join(', ')}.`);
+});
+const number = (name, value) => {
+    const parsed = Number(value);
+    if (!(parsed > 0)) fail(`--${name} must be a positive number.`);
+    return parsed;
+};
+const rate = number('rate', options.rate);
+const fps = options.fps === undefined ? null : number('fps', options.fps);
+const scale = number('scale', options.scale);
+if (options.units !== undefined && !METERS[options.units]) fail(`unknown unit "${options.units}", use ${Object.keys(METERS).join(', ')}.`);
+if (options.filter !== undefined && !['butterworth', 'savgol'].includes(options.filter)) fail(`unknown filter "${options.filter}", use butterworth or savgol.`);
+const filter = options.filter && {
+    method: options.filter,
+    cutoff: number('cutoff', options.cutoff),
+    window: number('window', options.window),
+    order: Number(options.order),
+    quaternion: !options.euler
+};
+if (options.joints && !filter) fail('--joints needs --filter.');
+if (options.joints && formats.some(format => format !== 'json')) fail('--joints filters joint positions, which only the json format holds.');
+
+// The .amc files to convert, from the files and directories given
+function findClips(inputs) {
+    return inputs.flatMap(input => {
+        if (!fs.existsSync(input)) fail(`${input} does not exist.`);
+        if (!fs.statSync(input).isDirectory()) return [input];
+        return fs.readdirSync(input).filter(file => /\.amc$/i.test(file)).sort().map(file => path.join(input, file));
+    });
+}
+
+function findASF(amcPath) {
+    if (options.asf) return options.asf;
+    const directory = path.dirname(amcPath);
+    const name = path.basename(amcPath).replace(/\.amc$/i, '');
+    const skeletons = fs.readdirSync(directory).filter(file => /\.asf$/i.test(file));
+    const subject = name.split('_')[0];
+    const match = skeletons.find(file => file.replace(/\.asf$/i, '') === name) ||
+        skeletons.find(file => file.split(/[-_.]/)[0] === subject) ||
+        (skeletons.length === 1 ? skeletons[0] : null);
+    return match && path.join(directory, match);
+}
+
+// Runs a parser and prints its diagnostics (the first few, a broken AMC can repeat the same problem on
+// every frame), null when the file has errors
+const MAX_DIAGNOSTICS = 20;
+function parse(file, parser) {
+    let result;
+    let diagnostics;
+    try {
+        result = parser(fs.readFileSync(file, 'utf8'));
+        diagnostics = result.diagnostics || [];
+    } catch (error) {
+        diagnostics = [{ severity: 'error', line: null, message: error.message }];
+    }
+    diagnostics.slice(0, MAX_DIAGNOSTICS).forEach(d => console.error(`${file}${d.line ? ':' + d.line : ''}: ${d.severity}: ${d.message}`));
+    if (diagnostics.length > MAX_DIAGNOSTICS) console.error(`${file}: ... and ${diagnostics.length - MAX_DIAGNOSTICS} more.`);
+    return diagnostics.some(d => d.severity === 'error') ? null : result;
+}
+
+function writeOutput(name, text) {
+    const file = path.join(options.out, name);
+    fs.writeFileSync(file, text);
+    console.log('  ' + file);
+}
+
+// Lengths from meters into the unit asked for, for the JSON formats
+function jsonLength(meters) {
+    return meters * scale / METERS[options.units || 'm'];
+}
+
+function convert(amcPath) {
+    const name = path.basename(amcPath).replace(/\.amc$/i, '');
+    const asfPath = findASF(amcPath);
+    if (!asfPath) {
+        console.error(`${amcPath}: no ASF found for it, pass one with --asf.`);
+        return false;
+    }
+    console.log(`${amcPath} (${path.basename(asfPath)})`);
+    const asf = parse(asfPath, parseASF);
+    const amc = asf && parse(amcPath, text => parseAMC(text, asf));
+    if (!amc) return false;
+    const skeleton = Skeleton.fromASF(asf);
+
+    let motion = Motion.fromAMC(amc);
+    motion.frameTime = 1 / rate;
+    if (fps) motion = new ForwardKinematics(skeleton).resample(motion, fps);
+    if (filter && !options.joints) motion = filterMotion(skeleton, motion, filter);
+
+    formats.forEach(format => {
+        if (format === 'json') {
+            const fk = new ForwardKinematics(skeleton);
+            const round = x => Number(jsonLength(x).toFixed(5));
+            let trajectories = fk.evaluateClip(motion).map(pose => pose.positions);
+            if (options.joints) trajectories = filterTrajectories(skeleton, trajectories, motion.frameTime, filter);
+            writeOutput(name + '.trajectories.json', JSON.stringify({
+                name,
+                frameRate: 1 / motion.frameTime,
+                units: options.units || 'm',
+                // The joint of a bone is at its end, the root's at the root position
+                joints: skeleton.bones.map(bone => bone.name),
+                frames: trajectories.map(positions => positions.map(position => position && position.map(round)))
+            }));
+        } else if (format === 'clip') {
+            const clip = gameClip(skeleton, motion, { name });
+            const toUnits = position => position.map(x => Number(jsonLength(x).toFixed(5)));
+            clip.units = options.units || 'm';
+            clip.bones.forEach(bone => { bone.offset = toUnits(bone.offset); });
+            clip.frames.forEach(frame => {
+                frame.root = toUnits(frame.root);
+                if (frame.offsets) frame.offsets = frame.offsets.map(toUnits);
+            });
+            writeOutput(name + '.clip.json', JSON.stringify(clip));
+        } else {
+            writeScaled(format, name, asfPath, motion);
+        }
+    });
+    return true;
+}
+
+// BVH and AMC are written from a skeleton whose lengths were scaled with scaleSkeleton(), on a fresh
+// parse of the ASF as it edits it in place. The motion's translations are scaled the same way.
+function writeScaled(format, name, asfPath, motion) {
+    const asf = parseASF(fs.readFileSync(asfPath, 'utf8'));
+    const skeleton = Skeleton.fromASF(asf);
+    // meters per length unit of what the writer puts out
+    const written = format === 'bvh' ? skeleton.metersPerUnit * skeleton.units.length : skeleton.metersPerUnit;
+    const unitFactor = options.units ? written / METERS[options.units] : 1;
+    const factor = scale * unitFactor;
+    if (factor !== 1) {
+        const amc = new AMC(motion.toScenes());
+        scaleSkeleton(asf, factor, amc);
+        // The unit got smaller as the numbers got bigger, the skeleton is as big as it was
+        if (format === 'amc') asf.units.length = skeleton.units.length * unitFactor;
+        motion = new Motion(Motion.fromAMC(amc).frames, { frameTime: motion.frameTime });
+    }
+    const scaled = Skeleton.fromASF(asf);
+    if (format === 'bvh') {
+        writeOutput(name + '.bvh', writeBVH(scaled, motion, options['bvh-order']));
+    } else {
+        writeOutput(name + '.amc', writeAMC(scaled, motion));
+        if (factor !== 1) writeOutput(name + '.asf', writeASF(asf));
+    }
+}
+
+const clips = findClips(inputs);
+if (clips.length === 0) fail('no .amc files found.');
+fs.mkdirSync(options.out, { recursive: true });
+const failed = clips.filter(clip => !convert(clip));
+if (failed.length) {
+    console.error(`${failed.length} of ${clips.length} clips failed.`);
+    process.exit(1);
+}
@@ -0,0 +1,111 @@
+// Writes every ASF in test_data and ../mocapPlayer back out with ASFwriter.js and parses it again,
+// and checks the editing helpers, with the AMC they keep in step. Run with the other tests:
+// node --test examples/jsma/test/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Skeleton, Motion, ForwardKinematics } from '../../core/index.js';
+import { parseASF } from '../ASFparser.js';
+import { parseAMC, checkAMC } from '../AMCparser.js';
+import { writeASF, renameBone, reparentBone, scaleSkeleton, deleteLeafBone } from '../ASFwriter.js';
+import { writeAMC } from '../AMCwriter.js';
+
+const examples = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = file => fs.readFileSync(path.join(examples, file), 'utf8');
+
+const DIRECTORIES = ['jsma/test_data', 'mocapPlayer'];
+
+// The walk, its skeleton parsed afresh for every test as the helpers edit it in place
+function walk() {
+    const asf = parseASF(read('mocapPlayer/07-walk.asf'));
+    return { asf, amc: parseAMC(read('mocapPlayer/07_05-walk.amc'), asf) };
+}
+
+// The skeleton and motion written out and parsed again, which must read without problems
+function reread(asf, amc) {
+    const again = parseASF(writeASF(asf));
+    assert.deepEqual(again.diagnostics, []);
+    const motion = parseAMC(writeAMC(Skeleton.fromASF(asf), amc), again);
+    assert.deepEqual(motion.diagnostics.concat(checkAMC(motion, again)), []);
+    return { asf: again, amc: motion };
+}
+
+for (const directory of DIRECTORIES) {
+    for (const file of fs.readdirSync(path.join(examples, directory)).filter(name => name.endsWith('.asf')).sort()) {
+        test(`writes ${directory}/${file} back as it was parsed`, () => {
+            const asf = parseASF(read(directory + '/' + file));
+            assert.deepEqual(parseASF(writeASF(asf)), asf);
+        });
+    }
+}
+
+test('writes open limits back as inf', () => {
+    const { asf } = walk();
+    asf.boneData[asf.boneNames.indexOf('lfemur')].limits[0] = [-Infinity, 20];
+    asf.boneData[asf.boneNames.indexOf('lfemur')].limits[1] = [-70, Infinity];
+    assert.match(writeASF(asf), /limits \(-inf 20\)\n\s+\(-70 inf\)/);
+    assert.deepEqual(parseASF(writeASF(asf)), asf);
+});
+
+test('renames a bone and its AMC lines', () => {
+    const { asf, amc } = walk();
+    const values = amc.scenes.map(scene => scene.lfemur);
+    renameBone(asf, 'lfemur', 'leftThigh', amc);
+    assert.equal(asf.boneNames.indexOf('lfemur'), -1);
+    assert.equal(asf.boneData[asf.boneNames.indexOf('leftThigh')].name, 'leftThigh');
+    const again = reread(asf, amc);
+    // AMCwriter writes six decimals
+    again.amc.scenes.forEach((scene, frame) => scene.leftThigh.forEach((x, k) => assert.ok(Math.abs(x - values[frame][k]) <= 1e-6)));
+    assert.ok(again.amc.scenes.every(scene => !('lfemur' in scene)));
+    assert.throws(() => renameBone(asf, 'root', 'hips'), /root/);
+    assert.throws(() => renameBone(asf, 'ltibia', 'rtibia'), /already/);
+    assert.throws(() => renameBone(asf, 'ltibia', 'left shin'), /spaces/);
+});
+
+// ASF directions are global, so the moved bone keeps its direction and length and starts at the
+// end of its new parent
+test('reparents a bone with everything below it', () => {
+    const { asf } = walk();
+    reparentBone(asf, 'lhumerus', 'head');
+    const again = reread(asf, parseAMC(read('mocapPlayer/07_05-walk.amc'), asf)).asf;
+    const skeleton = Skeleton.fromASF(again);
+    assert.equal(skeleton.bone('lhumerus').parent, skeleton.indexOf('head'));
+    assert.equal(skeleton.bone('lradius').parent, skeleton.indexOf('lhumerus'));
+    const pose = new ForwardKinematics(skeleton).restPose();
+    const start = pose.positions[skeleton.indexOf('head')];
+    const end = pose.positions[skeleton.indexOf('lhumerus')];
+    const bone = skeleton.bone('lhumerus');
+    end.forEach((x, k) => assert.ok(Math.abs(x - start[k] - bone.direction[k] * bone.length * skeleton.metersPerUnit) < 1e-12));
+    assert.throws(() => reparentBone(asf, 'lhumerus', 'lhand'), /loop/);
+});
+
+// Every joint of the scaled skeleton playing the scaled motion is where it was, times the factor
+test('scales the skeleton and the motion together', () => {
+    const { asf, amc } = walk();
+    const skeleton = Skeleton.fromASF(asf);
+    const before = new ForwardKinematics(skeleton).evaluate(Motion.fromAMC(amc), 100).positions;
+    scaleSkeleton(asf, 2, amc);
+    const again = reread(asf, amc);
+    const scaled = Skeleton.fromASF(again.asf);
+    const after = new ForwardKinematics(scaled).evaluate(Motion.fromAMC(again.amc), 100).positions;
+    after.forEach((position, joint) => position.forEach((x, k) => assert.ok(Math.abs(x - 2 * before[joint][k]) < 1e-5, `joint ${joint}`)));
+    assert.throws(() => scaleSkeleton(asf, 0), /positive/);
+});
+
+test('deletes a leaf bone and its AMC lines', () => {
+    const { asf, amc } = walk();
+    const count = asf.boneNames.length;
+    deleteLeafBone(asf, 'lthumb', amc);
+    assert.equal(asf.boneNames.length, count - 1);
+    assert.equal(asf.boneNames.indexOf('lthumb'), -1);
+    asf.boneData.forEach(bone => (bone.children || []).forEach(child => assert.ok(child < asf.boneData.length)));
+    const again = reread(asf, amc);
+    assert.ok(again.amc.scenes.every(scene => !('lthumb' in scene)));
+    const skeleton = Skeleton.fromASF(again.asf);
+    assert.equal(skeleton.bone('lfingers').parent, skeleton.indexOf('lhand'));
+    assert.throws(() => deleteLeafBone(asf, 'lhand'), /children/);
+    assert.throws(() => deleteLeafBone(asf, 'root'), /root/);
+});
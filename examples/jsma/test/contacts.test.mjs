@@ -0,0 +1,69 @@
+// Cleans up the foot skate of the walk clip and checks the planted feet stay put
+// (../../core/Contacts.js). Run with the other tests: node --test examples/jsma/test/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Skeleton, Motion, ForwardKinematics, detectContacts, cleanupFootSkate } from '../../core/index.js';
+import { parseASF } from '../ASFparser.js';
+import { parseAMC } from '../AMCparser.js';
+
+const examples = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = file => fs.readFileSync(path.join(examples, file), 'utf8');
+
+const asf = parseASF(read('mocapPlayer/07-walk.asf'));
+const skeleton = Skeleton.fromASF(asf);
+const motion = Motion.fromAMC(parseAMC(read('mocapPlayer/07_05-walk.amc'), asf));
+const contacts = detectContacts(skeleton, motion);
+
+// Meters each foot's lowest joint (the one on the floor) moves along the floor while it is planted,
+// summed over all its contacts. The ankle still moves as the foot rolls from heel to toe.
+function slides(result) {
+    const poses = new ForwardKinematics(skeleton).evaluateClip(result);
+    return contacts.feet.map(foot => {
+        const joints = foot.bones.map(name => skeleton.indexOf(name));
+        let slide = 0;
+        foot.contacts.forEach((planted, frame) => {
+            if (!planted || !foot.contacts[frame - 1]) return;
+            const positions = poses[frame].positions;
+            const lowest = joints.reduce((low, joint) => positions[joint][1] < positions[low][1] ? joint : low);
+            const before = poses[frame - 1].positions[lowest];
+            slide += Math.hypot(positions[lowest][0] - before[0], positions[lowest][2] - before[2]);
+        });
+        return slide;
+    });
+}
+
+// Meters the fastest joint moves in one frame
+function largestStep(result) {
+    const poses = new ForwardKinematics(skeleton).evaluateClip(result);
+    let largest = 0;
+    for (let frame = 1; frame < poses.length; frame++) {
+        poses[frame].positions.forEach((position, joint) => {
+            const before = poses[frame - 1].positions[joint];
+            largest = Math.max(largest, Math.hypot(...position.map((x, k) => x - before[k])));
+        });
+    }
+    return largest;
+}
+
+test('finds the contacts of both feet in the walk', () => {
+    assert.deepEqual(contacts.feet.map(foot => foot.name), ['left', 'right']);
+    contacts.feet.forEach(foot => assert.ok(foot.contacts.filter(Boolean).length > 100, foot.name));
+});
+
+test('planted feet do not slide after cleanup', () => {
+    const before = slides(motion);
+    const after = slides(cleanupFootSkate(skeleton, motion, contacts));
+    contacts.feet.forEach((foot, k) => {
+        assert.ok(before[k] > 0.1, `${foot.name} foot slides ${before[k].toFixed(3)} m before`);
+        assert.ok(after[k] < 0.01, `${foot.name} foot still slides ${after[k].toFixed(3)} m`);
+    });
+});
+
+// The correction fades in and out at the contact edges instead of popping
+test('cleanup does not make the joints jump', () => {
+    assert.ok(largestStep(cleanupFootSkate(skeleton, motion, contacts)) < largestStep(motion) * 1.1);
+});
@@ -0,0 +1,49 @@
+// Filters joint trajectories of the walk with jitter added and checks the filter takes most of it
+// out (filterTrajectories in ../MotionFilter.js, which convert.mjs --joints uses). Run with the other
+// tests: node --test examples/jsma/test/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { Skeleton, Motion, ForwardKinematics } from '../../core/index.js';
+import { parseASF } from '../ASFparser.js';
+import { parseAMC } from '../AMCparser.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const examples = path.join(here, '..', '..');
+const read = file => fs.readFileSync(path.join(examples, file), 'utf8');
+
+// MotionFilter.js expects dsp.js as globals, as convert.mjs loads it
+vm.runInThisContext(fs.readFileSync(path.join(here, '..', 'libs/dsp.js'), 'utf8'), { filename: 'libs/dsp.js' });
+const { filterTrajectories } = await import('../MotionFilter.js');
+
+const asf = parseASF(read('mocapPlayer/07-walk.asf'));
+const skeleton = Skeleton.fromASF(asf);
+const motion = Motion.fromAMC(parseAMC(read('mocapPlayer/07_05-walk.amc'), asf));
+const clean = new ForwardKinematics(skeleton).evaluateClip(motion).map(pose => pose.positions);
+
+// Mean distance in meters of the joints from where the clip puts them
+function meanError(trajectories) {
+    let sum = 0;
+    let count = 0;
+    trajectories.forEach((positions, frame) => positions.forEach((position, joint) => {
+        sum += Math.hypot(...position.map((x, k) => x - clean[frame][joint][k]));
+        count++;
+    }));
+    return sum / count;
+}
+
+// Half a centimeter of jitter, alternating frame by frame (60 Hz at 120 Hz capture), is taken
+// out by a 6 Hz low-pass and a Savitzky-Golay fit alike
+for (const method of ['butterworth', 'savgol']) {
+    test(`${method} takes the jitter out of joint trajectories`, () => {
+        const noisy = clean.map((positions, frame) => positions.map((position, joint) =>
+            position.map((x, k) => x + (frame % 2 ? 0.005 : -0.005) * ((joint + k) % 2 ? 1 : -1))));
+        const before = meanError(noisy);
+        const after = meanError(filterTrajectories(skeleton, noisy, motion.frameTime, { method, cutoff: 6 }));
+        assert.ok(after < before / 3, `${before.toFixed(4)} m before, ${after.toFixed(4)} m after`);
+    });
+}
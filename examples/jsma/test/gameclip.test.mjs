@@ -0,0 +1,107 @@
+// Bakes clips into game clips (../../core/GameClip.js) and plays them back the way the format
+// describes, checking every joint ends up where forward kinematics puts it. Run with the other
+// tests: node --test examples/jsma/test/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Skeleton, Motion, ForwardKinematics, gameClip, quat, vec3 } from '../../core/index.js';
+import { parseASF } from '../ASFparser.js';
+import { parseAMC } from '../AMCparser.js';
+
+const examples = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = file => fs.readFileSync(path.join(examples, file), 'utf8');
+
+// Rounded to 5 decimals of a meter
+const TOLERANCE = 1e-4;
+
+// A bone that bends, stretches and slides, and one hanging off it
+const ASF = `:version 1.10
+:name slide
+:units
+  mass 1.0
+  length 1.0
+  angle deg
+:root
+   order TX TY TZ RX RY RZ
+   axis XYZ
+   position 0 0 0
+   orientation 0 0 0
+:bonedata
+  begin
+     id 1
+     name arm
+     direction 0 1 0
+     length 10
+     axis 0 0 90 XYZ
+    dof rx l tx
+  end
+  begin
+     id 2
+     name hand
+     direction 0 1 0
+     length 2
+     axis 0 0 0 XYZ
+  end
+:hierarchy
+  begin
+    root arm
+    arm hand
+  end
+`;
+
+const AMC = `:FULLY-SPECIFIED
+:DEGREES
+1
+root 0 0 0 0 0 0
+arm 0 0 0
+2
+root 1 2 3 0 30 0
+arm 20 5 -3
+3
+root 1 2 3 10 0 0
+arm -45 -2 4
+`;
+
+// Joint positions from the clip alone
+function playBack(clip, frame) {
+    const baked = clip.frames[frame];
+    const offsets = baked.offsets || clip.bones.map(bone => bone.offset);
+    const world = [];
+    const ends = [];
+    clip.bones.forEach((bone, index) => {
+        world[index] = bone.parent < 0 ? baked.rotations[index] : quat.multiply(quat.create(), world[bone.parent], baked.rotations[index]);
+        const start = bone.parent < 0 ? baked.root : ends[bone.parent];
+        ends[index] = bone.parent < 0 ? baked.root : vec3.add(vec3.create(), start, vec3.transformQuat(vec3.create(), offsets[index], world[index]));
+    });
+    return ends;
+}
+
+function checkClip(skeleton, motion, frames) {
+    const clip = gameClip(skeleton, motion);
+    const fk = new ForwardKinematics(skeleton);
+    frames.forEach(frame => {
+        const expected = fk.evaluate(motion, frame).positions;
+        playBack(clip, frame).forEach((position, joint) => position.forEach((x, k) => {
+            assert.ok(Math.abs(x - expected[joint][k]) < TOLERANCE, `frame ${frame}, ${skeleton.bones[joint].name}: ${position} against ${expected[joint]}`);
+        }));
+    });
+    return clip;
+}
+
+test('plays back the walk from its game clip', () => {
+    const asf = parseASF(read('mocapPlayer/07-walk.asf'));
+    const motion = Motion.fromAMC(parseAMC(read('mocapPlayer/07_05-walk.amc'), asf));
+    const clip = checkClip(Skeleton.fromASF(asf), motion, [0, 100, motion.frameCount - 1]);
+    assert.ok(clip.frames.every(frame => !frame.offsets));
+});
+
+test('bakes the offsets of sliding and stretching bones into every frame', () => {
+    const asf = parseASF(ASF);
+    const amc = parseAMC(AMC, asf);
+    assert.deepEqual(asf.diagnostics.concat(amc.diagnostics), []);
+    const clip = checkClip(Skeleton.fromASF(asf), Motion.fromAMC(amc), [0, 1, 2]);
+    assert.notDeepEqual(clip.frames[1].offsets[1], clip.bones[1].offset);
+});
@@ -0,0 +1,56 @@
+// Makes loop clips from the walk and checks their last frame leads into the first without a pop
+// (../../core/Loop.js). Run with the other tests: node --test examples/jsma/test/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Skeleton, Motion, poseFeatures, findLoop, makeLoop } from '../../core/index.js';
+import { parseASF } from '../ASFparser.js';
+import { parseAMC } from '../AMCparser.js';
+
+const examples = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = file => fs.readFileSync(path.join(examples, file), 'utf8');
+
+const asf = parseASF(read('mocapPlayer/07-walk.asf'));
+const skeleton = Skeleton.fromASF(asf);
+const motion = Motion.fromAMC(parseAMC(read('mocapPlayer/07_05-walk.amc'), asf));
+
+// Meters the joint that moves most between frames a and b moves, with the root's travel and
+// heading taken out as findLoop() does
+function change(features, a, b) {
+    let largest = 0;
+    features[a].forEach((position, joint) => {
+        if (position) largest = Math.max(largest, Math.hypot(...position.map((x, k) => x - features[b][joint][k])));
+    });
+    return largest;
+}
+
+// The seam of the loop clip against the largest change from one frame to the next inside it
+function seam(loop, options) {
+    const features = poseFeatures(skeleton, makeLoop(skeleton, motion, loop, options));
+    let inside = 0;
+    for (let frame = 1; frame < features.length; frame++) inside = Math.max(inside, change(features, frame, frame - 1));
+    return { seam: change(features, 0, features.length - 1), inside };
+}
+
+function checkSeam(loop) {
+    const blended = seam(loop);
+    assert.ok(blended.seam <= blended.inside, `the seam moves ${blended.seam.toFixed(3)} m, the clip at most ${blended.inside.toFixed(3)} m`);
+    assert.ok(blended.seam < seam(loop, { blendFrames: 0 }).seam / 2);
+}
+
+test('blends the seam of the loop findLoop finds', () => {
+    checkSeam(findLoop(skeleton, motion));
+});
+
+// No frames come before it, so the seam is blended with the frames after its end
+test('blends the seam of a loop starting at frame 0', () => {
+    const features = poseFeatures(skeleton, motion);
+    let end = 60;
+    for (let frame = end; frame < motion.frameCount; frame++) {
+        if (change(features, 0, frame) < change(features, 0, end)) end = frame;
+    }
+    checkSeam({ start: 0, end });
+});
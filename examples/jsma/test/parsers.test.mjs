@@ -0,0 +1,415 @@
+// Parses every clip in test_data and ../mocapPlayer and checks the joint positions forward kinematics
+// gives for them against a reference, plus a BVH round trip of each clip. Run it with Node 20 or later:
+//
+//   node --test examples/jsma/test/
+//
+// The reference is reference/Trajectories.js, the forward kinematics of the first version of this
+// player (before ../../core replaced it), kept as it was and run on the gl-matrix it was written for
+// (GLEAT/js/gl-matrix-min.js) in a sandbox of its own. It works in the ASF's base units, inches for
+// the CMU clips here, and in single precision, which puts it within a micrometer of the core.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { Skeleton, Motion, ForwardKinematics, INCH, clampValues, frameViolations } from '../../core/index.js';
+import { parseASF } from '../ASFparser.js';
+import { parseAMC, checkAMC } from '../AMCparser.js';
+import { parseBVH } from '../BVHparser.js';
+import { writeBVH } from '../BVHwriter.js';
+import { writeAMC } from '../AMCwriter.js';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const examples = path.join(here, '..', '..');
+const DIRECTORIES = ['jsma/test_data', 'mocapPlayer'];
+
+// In meters: the reference to two micrometers, the round trip through BVH text (six decimals of
+// inches and degrees) to a tenth of a millimeter
+const TOLERANCE = 2e-6;
+const BVH_TOLERANCE = 1e-4;
+
+const reference = vm.createContext({ console: { log() {} } });
+['GLEAT/js/gl-matrix-min.js', 'test/reference/Trajectories.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(here, '..', file), 'utf8'), reference, { filename: file });
+});
+
+// Files by path from examples/, e.g. mocapPlayer/07-walk.asf
+function files(extension) {
+    return DIRECTORIES.flatMap(directory => fs.readdirSync(path.join(examples, directory))
+        .filter(file => file.toLowerCase().endsWith(extension))
+        .sort()
+        .map(file => directory + '/' + file));
+}
+
+function read(file) {
+    return fs.readFileSync(path.join(examples, file), 'utf8');
+}
+
+// The same pairing as convert.mjs: the ASF of the same name, else of the same subject number
+function asfFor(amcFile) {
+    const directory = path.dirname(amcFile);
+    const name = path.basename(amcFile).replace(/\.amc$/i, '');
+    const skeletons = files('.asf').filter(file => path.dirname(file) === directory);
+    const base = file => path.basename(file).replace(/\.asf$/i, '');
+    return skeletons.find(file => base(file) === name) ||
+        skeletons.find(file => base(file).split(/[-_.]/)[0] === name.split('_')[0]);
+}
+
+function errors(diagnostics) {
+    return diagnostics.filter(d => d.severity === 'error').map(d => `line ${d.line}: ${d.message}`);
+}
+
+// The first, middle and last frame
+function sampleFrames(motion) {
+    return [...new Set([0, Math.floor((motion.frameCount - 1) / 2), motion.frameCount - 1])];
+}
+
+function assertPositions(actual, expected, tolerance, message) {
+    assert.equal(actual.length, expected.length, message);
+    actual.forEach((position, joint) => position.forEach((x, k) => {
+        const error = Math.abs(x - expected[joint][k]);
+        assert.ok(error <= tolerance, `${message}, joint ${joint}: ${x} is ${error} m from ${expected[joint][k]}`);
+    }));
+}
+
+// Positions in inches to meters
+function inches(positions) {
+    return positions.map(position => position.map(x => x * INCH));
+}
+
+// Joint positions in meters from the reference for scenes (AMC scene objects) on a fresh parse of the
+// ASF, as the reference adds to it. The scenes are numbered again from 1, which is how it indexes them.
+function referencePositions(asfText, scenes) {
+    const amc = { sceneCount: scenes.length, scenes: scenes.map((scene, k) => Object.assign({}, scene, { sceneNum: String(k + 1) })) };
+    return reference.getAllTrajectories(parseASF(asfText), amc)
+        .map(positions => Array.from(positions, position => Array.from(position, x => x * INCH)));
+}
+
+// Every dof at zero
+function restScene(asf) {
+    const scene = { root: [0, 0, 0, 0, 0, 0] };
+    asf.boneData.forEach((bone, index) => {
+        if (index > 0) scene[bone.name] = bone.dof.map(() => 0);
+    });
+    return scene;
+}
+
+test('the parsers are modules with no side effects', async t => {
+    const globals = new Set(Object.getOwnPropertyNames(globalThis));
+    const log = t.mock.method(console, 'log');
+    // a query string evaluates the modules again
+    const asf = (await import('../ASFparser.js?again')).parseASF(read('mocapPlayer/09-run.asf'));
+    (await import('../AMCparser.js?again')).parseAMC(read('mocapPlayer/09_06-run.amc'), asf);
+    (await import('../BVHparser.js?again')).parseBVH(writeBVH(Skeleton.fromASF(asf), new Motion()));
+    assert.deepEqual(Object.getOwnPropertyNames(globalThis).filter(name => !globals.has(name)), []);
+    assert.equal(log.mock.callCount(), 0);
+});
+
+for (const file of files('.asf')) {
+    test(`parses ${file}`, () => {
+        const asf = parseASF(read(file));
+        assert.deepEqual(errors(asf.diagnostics), []);
+        const skeleton = Skeleton.fromASF(asf);
+        assert.deepEqual(skeleton.unitProblems, []);
+        const [expected] = referencePositions(read(file), [restScene(asf)]);
+        assertPositions(new ForwardKinematics(skeleton).restPose().positions, expected, TOLERANCE, `${file}: rest pose`);
+    });
+}
+
+for (const file of files('.amc')) {
+    test(`parses ${file}`, () => {
+        const asfFile = asfFor(file);
+        assert.ok(asfFile, `no ASF for ${file}`);
+        const asf = parseASF(read(asfFile));
+        const amc = parseAMC(read(file), asf);
+        assert.deepEqual(errors(amc.diagnostics), []);
+        assert.deepEqual(errors(checkAMC(amc, asf)), []);
+        const skeleton = Skeleton.fromASF(asf);
+        const motion = Motion.fromAMC(amc);
+        assert.equal(motion.frameCount, amc.sceneCount);
+        const fk = new ForwardKinematics(skeleton);
+        const frames = sampleFrames(motion);
+        const expected = referencePositions(read(asfFile), frames.map(frame => amc.scenes[frame]));
+        frames.forEach((frame, k) => {
+            assertPositions(fk.evaluate(motion, frame).positions, expected[k], TOLERANCE, `${file}: frame ${frame}`);
+        });
+    });
+
+    // AMCwriter writes six decimals in the ASF's units
+    test(`reads ${file} back from AMC`, () => {
+        const asf = parseASF(read(asfFor(file)));
+        const skeleton = Skeleton.fromASF(asf);
+        const motion = Motion.fromAMC(parseAMC(read(file), asf));
+        const amc = parseAMC(writeAMC(skeleton, motion), asf);
+        assert.deepEqual(amc.diagnostics, []);
+        const again = Motion.fromAMC(amc);
+        assert.equal(again.frameCount, motion.frameCount);
+        sampleFrames(motion).forEach(frame => skeleton.bones.forEach(bone => {
+            const expected = motion.values(frame, bone.name);
+            again.values(frame, bone.name).forEach((x, k) => {
+                assert.ok(Math.abs(x - expected[k]) <= 1e-6, `${file}: frame ${frame}, ${bone.name}: ${x} against ${expected[k]}`);
+            });
+        }));
+    });
+
+    // Every joint of the BVH parsed back is where the ASF bone it was written for starts, or for the
+    // End Sites where the leaf bone ends
+    test(`reads ${file} back from BVH`, () => {
+        const asf = parseASF(read(asfFor(file)));
+        const skeleton = Skeleton.fromASF(asf);
+        const motion = Motion.fromAMC(parseAMC(read(file), asf));
+        // BVHwriter writes inches for CMU clips
+        const bvh = parseBVH(writeBVH(skeleton, motion), 'in');
+        assert.deepEqual(bvh.diagnostics, []);
+        const bvhSkeleton = Skeleton.fromASF(bvh.asf);
+        const bvhMotion = Motion.fromAMC(bvh.amc);
+        assert.equal(bvhMotion.frameCount, motion.frameCount);
+        const fk = new ForwardKinematics(skeleton);
+        const bvhFk = new ForwardKinematics(bvhSkeleton);
+        const source = bvhSkeleton.bones.map(bone => {
+            if (bone.index === 0) return 0;
+            const index = skeleton.indexOf(bone.name.replace(/_end$/, ''));
+            return bone.name.endsWith('_end') ? index : skeleton.bones[index].parent;
+        });
+        sampleFrames(motion).forEach(frame => {
+            const expected = fk.evaluate(motion, frame).positions;
+            assertPositions(bvhFk.evaluate(bvhMotion, frame).positions, source.map(index => expected[index]), BVH_TOLERANCE, `${file}: frame ${frame}`);
+        });
+    });
+}
+
+// A file cut short anywhere, or missing a section, stops with an error at the line it went wrong on
+// instead of looping or throwing
+const BVH = `HIERARCHY
+ROOT hips
+{
+  OFFSET 0 0 0
+  CHANNELS 6 Xposition Yposition Zposition Zrotation Xrotation Yrotation
+  JOINT knee
+  {
+    OFFSET 0 -10 0
+    CHANNELS 3 Zrotation Xrotation Yrotation
+    End Site
+    {
+      OFFSET 0 -10 0
+    }
+  }
+}
+MOTION
+Frames: 2
+Frame Time: 0.0333333
+0 20 0 0 0 0 0 45 0
+0 21 0 0 0 0 0 40 0
+`;
+
+test('reads a small BVH', () => {
+    const bvh = parseBVH(BVH);
+    assert.deepEqual(bvh.diagnostics, []);
+    assert.deepEqual(bvh.asf.boneNames, ['root', 'knee', 'knee_end']);
+    assert.equal(bvh.amc.scenes.length, 2);
+    assert.equal(bvh.amc.frameTime, 0.0333333);
+});
+
+// Centimeters unless the unit says otherwise: the knee is 10 units below the hips
+test('reads BVH lengths in the unit given', () => {
+    [[undefined, 0.1], ['cm', 0.1], ['mm', 0.01], ['m', 10], ['in', 0.254]].forEach(([unit, meters]) => {
+        const pose = new ForwardKinematics(Skeleton.fromASF(parseBVH(BVH, unit).asf)).restPose();
+        assert.ok(Math.abs(pose.positions[0][1] - pose.positions[1][1] - meters) < 1e-9, `${unit}: ${pose.positions[1]}`);
+    });
+});
+
+const BROKEN = [
+    ['an empty file', '', 1, /no ROOT/],
+    ['no ROOT', BVH.replace('ROOT', 'JOINT'), 20, /no ROOT/],
+    ['a hierarchy cut short', BVH.slice(0, BVH.indexOf('End Site')), 6, /closing/],
+    ['a brace missing', BVH.replace('knee\n  {', 'knee'), 7, /Expected '\{'/],
+    ['no MOTION', BVH.slice(0, BVH.indexOf('MOTION')), 15, /no MOTION/],
+    ['a bad frame count', BVH.replace('Frames: 2', 'Frames: two'), 17, /frame count/],
+    ['frames cut short', BVH.slice(0, BVH.lastIndexOf('40')), 20, /ends in frame 2 of 2/],
+    ['a value that is not a number', BVH.replace('0 21', 'x 21'), 20, /Expected a number/]
+];
+for (const [name, text, line, message] of BROKEN) {
+    test(`reports a BVH file with ${name}`, { timeout: 5000 }, () => {
+        const bvh = parseBVH(text);
+        const found = errors(bvh.diagnostics);
+        assert.equal(found.length, 1, found.join('; '));
+        assert.equal(bvh.diagnostics[0].line, line);
+        assert.match(bvh.diagnostics[0].message, message);
+    });
+}
+
+test('warns about values after the last BVH frame', () => {
+    const bvh = parseBVH(BVH.replace('Frames: 2', 'Frames: 1'));
+    assert.deepEqual(errors(bvh.diagnostics), []);
+    assert.equal(bvh.amc.scenes.length, 1);
+    assert.deepEqual(bvh.diagnostics.map(d => [d.severity, d.line]), [['warning', 20]]);
+});
+
+// A bone with open limits, as some exporters write them
+const ASF_INF = `:version 1.10
+:name inf
+:units
+  mass 1.0
+  length 1.0
+  angle deg
+:root
+   order TX TY TZ RX RY RZ
+   axis XYZ
+   position 0 0 0
+   orientation 0 0 0
+:bonedata
+  begin
+     id 1
+     name a
+     direction 0 1 0
+     length 1
+     axis 0 0 0 XYZ
+    dof rx ry rz
+    limits (-inf inf)
+           (-inf 30)
+           ( -10 inf )
+  end
+  begin
+     id 2
+     name b
+     direction 0 1 0
+     length 1
+     axis 0 0 0 XYZ
+  end
+:hierarchy
+  begin
+    root a
+    a b
+  end
+`;
+
+test('reads a limit pair on every line of a bone', () => {
+    const asf = parseASF(ASF_INF);
+    assert.deepEqual(asf.diagnostics, []);
+    assert.equal(asf.boneData[1].limits.length, 3);
+    asf.boneData[1].limits.forEach(limit => assert.equal(limit.length, 2));
+});
+
+test('reports a bone with fewer limit pairs than dofs', () => {
+    const asf = parseASF(ASF_INF.replace('( -10 inf )', ''));
+    assert.deepEqual(asf.diagnostics.map(d => [d.severity, d.line, d.message]), [['error', 21, 'Bone a has 3 dofs but 2 limits.']]);
+});
+
+// inf is an open side: nothing is clamped or flagged past it
+test('clamps against open ASF limits', () => {
+    const asf = parseASF(ASF_INF);
+    assert.deepEqual(asf.boneData[1].limits, [[-Infinity, Infinity], [-Infinity, 30], [-10, Infinity]]);
+    const skeleton = Skeleton.fromASF(asf);
+    assert.deepEqual(clampValues(skeleton.bone('a'), [500, -500, 500]), [500, -500, 500]);
+    assert.deepEqual(clampValues(skeleton.bone('a'), [-500, 50, -20]), [-500, 30, -10]);
+    const motion = new Motion([new Map([['a', [-500, 50, -20]]]), new Map([['a', [500, -500, 500]]])]);
+    assert.deepEqual(frameViolations(skeleton, motion, 0).map(v => v.dof), ['ry', 'rz']);
+    assert.deepEqual(frameViolations(skeleton, motion, 1), []);
+});
+
+// Rotation orders the reference ignores: the root's channels are TX TY TZ RZ RY RX, bone a turns in
+// dof order rz ry rx (R = Rx Ry Rz, the first dof applied first) and bone b's axis frame is given in
+// ZYX order. Lengths are inches.
+const ASF_ORDERS = `:version 1.10
+:name orders
+:units
+  mass 1.0
+  length 1.0
+  angle deg
+:root
+   order TX TY TZ RZ RY RX
+   axis XYZ
+   position 0 0 0
+   orientation 0 0 0
+:bonedata
+  begin
+     id 1
+     name a
+     direction 0 1 0
+     length 1
+     axis 0 0 0 XYZ
+    dof rz ry rx
+  end
+  begin
+     id 2
+     name b
+     direction 1 0 0
+     length 1
+     axis 90 90 0 ZYX
+    dof rx
+  end
+:hierarchy
+  begin
+    root a
+    a b
+  end
+`;
+
+const AMC_ORDERS = `:FULLY-SPECIFIED
+:DEGREES
+1
+root 1 2 3 90 90 0
+a 0 0 0
+b 0
+2
+root 0 0 0 0 0 0
+a 90 90 0
+b 90
+`;
+
+// Worked out by hand, in inches:
+//   frame 1: the root turns by Ry(90) Rz(90), which takes a's (0 1 0) to (0 0 1) and b's (1 0 0)
+//            to (0 1 0), from the root at (1 2 3)
+//   frame 2: a turns the same way. b's axis frame Rx(90) Ry(90) puts its x axis on y, so rx 90 turns
+//            its (1 0 0) to (0 0 -1) about y, and a's rotation takes that to (-1 0 0)
+test('follows the root, dof and axis orders', () => {
+    const asf = parseASF(ASF_ORDERS);
+    const amc = parseAMC(AMC_ORDERS, asf);
+    assert.deepEqual(asf.diagnostics.concat(amc.diagnostics), []);
+    const fk = new ForwardKinematics(Skeleton.fromASF(asf));
+    const motion = Motion.fromAMC(amc);
+    assertPositions(fk.evaluate(motion, 0).positions, inches([[1, 2, 3], [1, 2, 4], [1, 3, 4]]), 1e-12, 'frame 1');
+    assertPositions(fk.evaluate(motion, 1).positions, inches([[0, 0, 0], [0, 0, 1], [-1, 0, 1]]), 1e-12, 'frame 2');
+});
+
+// Bone a stretches by l and slides by tx along the x axis of its axis frame, which Ry(90) turns to
+// (0 0 -1). Lengths are inches.
+const ASF_SLIDE = ASF_ORDERS
+    .replace('order TX TY TZ RZ RY RX', 'order TX TY TZ RX RY RZ')
+    .replace('length 1\n     axis 0 0 0 XYZ\n    dof rz ry rx', 'length 2\n     axis 0 90 0 XYZ\n    dof l tx')
+    .replace('direction 1 0 0\n     length 1\n     axis 90 90 0 ZYX\n    dof rx', 'direction 0 1 0\n     length 1\n     axis 0 0 0 XYZ');
+
+const AMC_SLIDE = `:FULLY-SPECIFIED
+:DEGREES
+1
+root 0 0 0 0 0 0
+a 0 0
+2
+root 0 0 0 0 0 0
+a 3 0.5
+`;
+
+// At rest a ends 2 inches up and b 1 inch above it. Stretched by 3 and moved 0.5 along (0 0 -1),
+// a ends at (0 5 -0.5), and b with it at (0 6 -0.5).
+test('stretches and slides bones by their l and tx dofs', () => {
+    const asf = parseASF(ASF_SLIDE);
+    const amc = parseAMC(AMC_SLIDE, asf);
+    assert.deepEqual(asf.diagnostics.concat(amc.diagnostics), []);
+    const fk = new ForwardKinematics(Skeleton.fromASF(asf));
+    const motion = Motion.fromAMC(amc);
+    assertPositions(fk.evaluate(motion, 0).positions, inches([[0, 0, 0], [0, 2, 0], [0, 3, 0]]), 1e-12, 'at rest');
+    assertPositions(fk.evaluate(motion, 1).positions, inches([[0, 0, 0], [0, 5, -0.5], [0, 6, -0.5]]), 1e-12, 'moved');
+});
+
+// An ASF in radians gets its AMC in radians, values as they are
+test('writes AMC angles in the unit of the ASF', () => {
+    const asf = parseASF(ASF_ORDERS.replace('angle deg', 'angle rad'));
+    const skeleton = Skeleton.fromASF(asf);
+    const text = writeAMC(skeleton, Motion.fromAMC(parseAMC(AMC_ORDERS, asf)));
+    assert.match(text, /^:RADIANS$/m);
+    assert.match(text, /^a 90 90 0$/m);
+    const positions = new ForwardKinematics(skeleton).evaluate(Motion.fromAMC(parseAMC(text, asf)), 1).positions;
+    assertPositions(positions, new ForwardKinematics(skeleton).evaluate(Motion.fromAMC(parseAMC(AMC_ORDERS, asf)), 1).positions, 1e-12, 'frame 2');
+});
@@ -0,0 +1,84 @@
+// Retargets the walk clip onto other skeletons and checks every bone points the way its source bone
+// does (../../core/Retarget.js). Run with the other tests: node --test examples/jsma/test/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Skeleton, Motion, ForwardKinematics, retarget, quat, vec3, euler2quat, quat2euler } from '../../core/index.js';
+import { parseASF } from '../ASFparser.js';
+import { parseAMC } from '../AMCparser.js';
+
+const examples = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = file => fs.readFileSync(path.join(examples, file), 'utf8');
+
+// Bones with no rotation dofs (the hip joints) or only some (the clavicles, ry rz) cannot always
+// point where their source bone does; the bones below them still have to
+const FREE = ['lhipjoint', 'rhipjoint', 'lclavicle', 'rclavicle'];
+const MAX_DEGREES = 0.1;
+
+const sourceASF = parseASF(read('mocapPlayer/07-walk.asf'));
+const source = Skeleton.fromASF(sourceASF);
+const motion = Motion.fromAMC(parseAMC(read('mocapPlayer/07_05-walk.amc'), sourceASF));
+
+// World direction of every bone (start to end) in a frame, null for bones of no length
+function directions(skeleton, pose) {
+    return skeleton.bones.map((bone, index) => {
+        if (index === 0 || bone.length === 0) return null;
+        const end = pose.positions[index];
+        const start = pose.positions[bone.parent];
+        const direction = end.map((x, k) => x - start[k]);
+        const length = Math.hypot(...direction);
+        return direction.map(x => x / length);
+    });
+}
+
+function checkDirections(target, result, free = FREE) {
+    const sourceFK = new ForwardKinematics(source);
+    const targetFK = new ForwardKinematics(target);
+    assert.equal(result.frameCount, motion.frameCount);
+    for (let frame = 0; frame < motion.frameCount; frame += 10) {
+        const expected = directions(source, sourceFK.evaluate(motion, frame));
+        const actual = directions(target, targetFK.evaluate(result, frame));
+        target.bones.forEach((bone, index) => {
+            if (!actual[index] || free.includes(bone.name)) return;
+            const want = expected[source.indexOf(bone.name)];
+            const cosine = actual[index].reduce((sum, x, k) => sum + x * want[k], 0);
+            const degrees = Math.acos(Math.min(1, cosine)) * 180 / Math.PI;
+            assert.ok(degrees < MAX_DEGREES, `frame ${frame}: ${bone.name} is ${degrees.toFixed(2)} degrees off`);
+        });
+    }
+}
+
+test('bones point like the source bones on another subject', () => {
+    const target = Skeleton.fromASF(parseASF(read('jsma/test_data/teapot.asf')));
+    checkDirections(target, retarget(source, motion, target));
+});
+
+// Turns the rest pose of an arm about the forward axis, axis frames included so the elbow still bends
+// about its own axis
+function turnArm(skeleton, side, degrees) {
+    const turn = quat.setAxisAngle(quat.create(), [0, 0, 1], degrees * Math.PI / 180);
+    ['humerus', 'radius', 'wrist', 'hand', 'fingers', 'thumb'].forEach(name => {
+        const bone = skeleton.bone(side + name);
+        vec3.transformQuat(bone.direction, bone.direction, turn);
+        const axis = quat.multiply(quat.create(), turn, euler2quat(bone.axis.map(angle => angle * skeleton.angleFactor), bone.axisOrder));
+        // euler2quat applies XYZ as Rz * Ry * Rx, which quat2euler gives back for ZYX
+        const [z, y, x] = quat2euler(axis, 'ZYX');
+        bone.axis = [x, y, z].map(angle => angle / skeleton.angleFactor);
+        bone.axisOrder = 'XYZ';
+    });
+}
+
+// The arms lowered 45 degrees (an A-pose against the CMU T-pose) and the lower back made rigid: the
+// rest alignment and the upper back have to make up for them. The thumbs are left out: they point off
+// the turn axis, so the shortest turn aligning their rest directions is not the arm's turn
+test('bones point like the source bones on a skeleton with another rest pose and dofs', () => {
+    const target = Skeleton.fromASF(parseASF(read('jsma/test_data/teapot.asf')));
+    turnArm(target, 'l', -45);
+    turnArm(target, 'r', 45);
+    target.bone('lowerback').dof = [];
+    target.bone('lowerback').limits = [];
+    checkDirections(target, retarget(source, motion, target), FREE.concat('lowerback', 'lthumb', 'rthumb'));
+});